@@ -21,6 +21,10 @@ import {
   denormaliseCardTitle,
   searchNormalisedCardTitles,
 } from "../../WitchesRevel/api.js";
+import {
+  createPermissionDeniedEmbed,
+  hasPermission,
+} from "../../Permissions/permissions.js";
 import { normalise } from "../../Utility/text.js";
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -28,7 +32,7 @@ import { normalise } from "../../Utility/text.js";
 const data = new SlashCommandBuilder()
   .setName("add_alias")
   .setDescription("adds an alias for a given card")
-  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
   .addStringOption((option) =>
     option
       .setName("alias")
@@ -46,20 +50,41 @@ const data = new SlashCommandBuilder()
     option
       .setName("can_group")
       .setDescription("whether the alias can be a group alias")
+  )
+  .addStringOption((option) =>
+    option
+      .setName("scope")
+      .setDescription(
+        "whether to add the alias to this server or globally (defaults to this server)"
+      )
+      .addChoices(
+        { name: "server", value: "server" },
+        { name: "global", value: "global" }
+      )
   );
 
 const meta = {
   hideFromHelp: true,
+  permission: "guildAdmin",
 };
 
 async function execute(interaction, client) {
-  // Verify superuser status - TODO: create permissions module
-  if (interaction.user.id != process.env.SUPER_USER) {
+  // Server aliases are used by default, except in DMs
+  const scope =
+    interaction.options.getString("scope") ??
+    (interaction.guildId ? "server" : "global");
+  const guildId = scope == "server" ? interaction.guildId : null;
+
+  // Server admins can change their server's aliases, but global aliases apply everywhere
+  if (scope == "global" && !hasPermission(interaction, "botModerator")) {
+    const embed = createPermissionDeniedEmbed("botModerator");
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  if (scope == "server" && !guildId) {
     const embed = new EmbedBuilder()
-      .setTitle("Invalid permissions!")
-      .setDescription(
-        `You do not have permission to use this command, but you are seeing it because Discord does not allow any commands to be hidden from admnistrators.`
-      )
+      .setTitle("Not in a server!")
+      .setDescription("Server aliases can only be changed from a server.")
       .setColor(+process.env.COLOR_ERROR);
     await interaction.reply({ embeds: [embed], ephemeral: true });
     return;
@@ -68,19 +93,21 @@ async function execute(interaction, client) {
   const alias = interaction.options.getString("alias");
   const cardName = interaction.options.getString("card");
   const canGroup = interaction.options.getBoolean("can_group");
-  const success = addAlias(alias, cardName, canGroup);
+  const success = addAlias(alias, cardName, canGroup, guildId);
 
   let embed;
   if (success) {
     embed = new EmbedBuilder()
-      .setTitle("Alias added!")
+      .setTitle(
+        scope == "server" ? "Server alias added!" : "Global alias added!"
+      )
       .setDescription(`\`${alias}\` ⇒ \`${cardName}\``)
       .setColor(+process.env.COLOR_INFO);
     saveAliases();
   } else {
     embed = new EmbedBuilder()
       .setTitle("Alias already exists!")
-      .setDescription(`\`${alias}\` is already an alias for a card.`)
+      .setDescription(`\`${alias}\` is already a ${scope} alias for a card.`)
       .setColor(+process.env.COLOR_ERROR);
   }
 
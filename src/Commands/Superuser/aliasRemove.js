@@ -18,13 +18,17 @@ import {
   denormaliseCardTitle,
   searchNormalisedCardTitles,
 } from "../../WitchesRevel/api.js";
+import {
+  createPermissionDeniedEmbed,
+  hasPermission,
+} from "../../Permissions/permissions.js";
 
 ///////////////////////////////////////////////////////////////////////////////
 
 const data = new SlashCommandBuilder()
   .setName("remove_alias")
   .setDescription("removes an alias from the alias pool")
-  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
   .addStringOption((option) =>
     option
       .setName("alias")
@@ -36,20 +40,41 @@ const data = new SlashCommandBuilder()
       .setName("card")
       .setDescription("the card the alias will map to")
       .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("scope")
+      .setDescription(
+        "whether to remove the alias from this server or globally (defaults to this server)"
+      )
+      .addChoices(
+        { name: "server", value: "server" },
+        { name: "global", value: "global" }
+      )
   );
 
 const meta = {
   hideFromHelp: true,
+  permission: "guildAdmin",
 };
 
 async function execute(interaction, client) {
-  // Verify superuser status - TODO: create permissions module
-  if (interaction.user.id != process.env.SUPER_USER) {
+  // Server aliases are used by default, except in DMs
+  const scope =
+    interaction.options.getString("scope") ??
+    (interaction.guildId ? "server" : "global");
+  const guildId = scope == "server" ? interaction.guildId : null;
+
+  // Server admins can change their server's aliases, but global aliases apply everywhere
+  if (scope == "global" && !hasPermission(interaction, "botModerator")) {
+    const embed = createPermissionDeniedEmbed("botModerator");
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  if (scope == "server" && !guildId) {
     const embed = new EmbedBuilder()
-      .setTitle("Invalid permissions!")
-      .setDescription(
-        `You do not have permission to use this command, but you are seeing it because Discord does not allow any commands to be hidden from admnistrators.`
-      )
+      .setTitle("Not in a server!")
+      .setDescription("Server aliases can only be changed from a server.")
       .setColor(+process.env.COLOR_ERROR);
     await interaction.reply({ embeds: [embed], ephemeral: true });
     return;
@@ -57,7 +82,7 @@ async function execute(interaction, client) {
 
   const alias = interaction.options.getString("alias");
   const card = interaction.options.getString("card");
-  const success = removeAlias(alias, card);
+  const success = removeAlias(alias, card, guildId);
 
   let embed;
   if (success) {
@@ -65,8 +90,8 @@ async function execute(interaction, client) {
       .setTitle("Alias removed!")
       .setDescription(
         card
-          ? `\`${alias}\` is no longer an alias for that card.`
-          : `\`${alias}\` is no longer an alias.`
+          ? `\`${alias}\` is no longer a ${scope} alias for that card.`
+          : `\`${alias}\` is no longer a ${scope} alias.`
       )
       .setColor(+process.env.COLOR_INFO);
     saveAliases();
@@ -76,7 +101,7 @@ async function execute(interaction, client) {
       .setDescription(
         card
           ? `\`${alias}\` is not an alias for that card.`
-          : `The alias \`${alias}\` cannot be found.`
+          : `The ${scope} alias \`${alias}\` cannot be found.`
       )
       .setColor(+process.env.COLOR_ERROR);
   }
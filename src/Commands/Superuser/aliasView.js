@@ -12,7 +12,7 @@ import {
   PermissionFlagsBits,
   SlashCommandBuilder,
 } from "discord.js";
-import { listAliases } from "./../../WitchesRevel/aliases.js";
+import { isGuildAlias, listAliases } from "./../../WitchesRevel/aliases.js";
 import {
   denormaliseCardTitle,
   getClosestCard,
@@ -26,7 +26,7 @@ import { normalise } from "../../Utility/text.js";
 const data = new SlashCommandBuilder()
   .setName("view_aliases")
   .setDescription("displays all aliases of a given card")
-  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
   .addStringOption((option) =>
     option
       .setName("card")
@@ -37,30 +37,33 @@ const data = new SlashCommandBuilder()
 
 const meta = {
   hideFromHelp: true,
+  permission: "guildAdmin",
 };
 
 async function execute(interaction, client) {
-  // Verify superuser status - TODO: create permissions module
-  if (interaction.user.id != process.env.SUPER_USER) {
-    const embed = new EmbedBuilder()
-      .setTitle("Invalid permissions!")
-      .setDescription(
-        `You do not have permission to use this command, but you are seeing it because Discord does not allow any commands to be hidden from admnistrators.`
-      )
-      .setColor(+process.env.COLOR_ERROR);
-    await interaction.reply({ embeds: [embed], ephemeral: true });
-    return;
-  }
-
   const cardName = interaction.options.getString("card");
   const card = getClosestCard(cardName);
-  const aliases = listAliases(card.fullNames.frontFace);
+  const guildAliases = interaction.guildId
+    ? listAliases(card.fullNames.frontFace, interaction.guildId)
+    : [];
+  const globalAliases = listAliases(card.fullNames.frontFace);
 
   let embed;
-  if (aliases && aliases.length > 0) {
+  if (guildAliases.length > 0 || globalAliases.length > 0) {
+    // Global aliases are overridden by server aliases with the same name,
+    // including those for other cards
+    const isOverridden = (alias) => isGuildAlias(alias, interaction.guildId);
+    const lines = [
+      ...guildAliases.map((alias) => `- ${alias} (server)`),
+      ...globalAliases.map((alias) =>
+        isOverridden(alias)
+          ? `- ~~${alias}~~ (global, overridden by this server)`
+          : `- ${alias} (global)`
+      ),
+    ];
     const description = `The aliases for ${
       card.fullNames.frontFace
-    }:\n - ${aliases.join("\n- ")}`;
+    }:\n${lines.join("\n")}`;
     embed = new EmbedBuilder()
       .setColor(cardToColor(card))
       .setTitle("Aliases!")
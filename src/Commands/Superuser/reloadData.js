@@ -0,0 +1,77 @@
+/**
+ * A secret command for reloading the card data from the API.
+ *
+ * @file   This files defines the reloadData command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { reloadData } from "../../WitchesRevel/api.js";
+import { truncate } from "../../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("reload_data")
+  .setDescription("reloads all card data from the api")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+const meta = {
+  hideFromHelp: true,
+  permission: "botModerator",
+};
+
+async function execute(interaction, client) {
+  // Fetching the data can take longer than Discord allows for a reply
+  await interaction.deferReply({ ephemeral: true });
+
+  let changes;
+  try {
+    changes = await reloadData();
+  } catch (err) {
+    const embed = new EmbedBuilder()
+      .setTitle("Reload failed!")
+      .setDescription(
+        `The card data could not be reloaded, so the existing data will continue to be used.\n\`${err.message}\``
+      )
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.editReply({ embeds: [embed] });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("Card data reloaded!")
+    .setColor(+process.env.COLOR_INFO)
+    .addFields(
+      changesToField("Added", changes.added),
+      changesToField("Removed", changes.removed),
+      changesToField("Changed", changes.changed)
+    );
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {string} name The name of the field.
+ * @param {string[]} cardTitles The titles of the cards to list.
+ * @return {Object} An embed field listing the cards.
+ */
+function changesToField(name, cardTitles) {
+  return {
+    name: `${name} (${cardTitles.length})`,
+    value:
+      cardTitles.length > 0 ? truncate(cardTitles.join(", "), 1024, "…") : "-",
+  };
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
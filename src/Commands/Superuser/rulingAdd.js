@@ -0,0 +1,82 @@
+/**
+ * A secret command for adding rulings to cards.
+ *
+ * @file   This files defines the rulingAdd command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { addRuling, saveRulings } from "../../WitchesRevel/rulings.js";
+import { normalise } from "../../Utility/text.js";
+import {
+  denormaliseCardTitle,
+  getClosestCard,
+  searchNormalisedCardTitles,
+} from "../../WitchesRevel/api.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("add_ruling")
+  .setDescription("adds a ruling to a card")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .addStringOption((option) =>
+    option
+      .setName("card")
+      .setDescription("the card the ruling applies to")
+      .setRequired(true)
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("ruling")
+      .setDescription("the ruling")
+      .setRequired(true)
+      .setMaxLength(1000)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("source")
+      .setDescription("where the ruling came from, e.g. Official FAQ")
+      .setMaxLength(100)
+  );
+
+const meta = {
+  hideFromHelp: true,
+  permission: "botModerator",
+};
+
+async function execute(interaction, client) {
+  const card = getClosestCard(interaction.options.getString("card"));
+  const text = interaction.options.getString("ruling");
+  const source = interaction.options.getString("source");
+
+  const number = addRuling(card, text, source);
+  saveRulings();
+
+  const embed = new EmbedBuilder()
+    .setTitle("Ruling added!")
+    .setDescription(
+      `Added ruling ${number} to ${card.fullNames.frontFace}:\n>>> ${text}`
+    )
+    .setColor(+process.env.COLOR_INFO);
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = searchNormalisedCardTitles(focusedValue)
+    .slice(0, 25)
+    .map((title) => ({ name: denormaliseCardTitle(title), value: title }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -0,0 +1,101 @@
+/**
+ * A secret command for editing the rulings of cards.
+ *
+ * @file   This files defines the rulingEdit command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { editRuling, saveRulings } from "../../WitchesRevel/rulings.js";
+import { normalise } from "../../Utility/text.js";
+import {
+  denormaliseCardTitle,
+  getClosestCard,
+  searchNormalisedCardTitles,
+} from "../../WitchesRevel/api.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("edit_ruling")
+  .setDescription("replaces one of a card's rulings")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .addStringOption((option) =>
+    option
+      .setName("card")
+      .setDescription("the card the ruling applies to")
+      .setRequired(true)
+      .setAutocomplete(true)
+  )
+  .addIntegerOption((option) =>
+    option
+      .setName("number")
+      .setDescription("the number of the ruling, as shown by /rulings")
+      .setRequired(true)
+      .setMinValue(1)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("ruling")
+      .setDescription("the new ruling")
+      .setRequired(true)
+      .setMaxLength(1000)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("source")
+      .setDescription(
+        "where the ruling came from, e.g. Official FAQ (defaults to the old source)"
+      )
+      .setMaxLength(100)
+  );
+
+const meta = {
+  hideFromHelp: true,
+  permission: "botModerator",
+};
+
+async function execute(interaction, client) {
+  const card = getClosestCard(interaction.options.getString("card"));
+  const number = interaction.options.getInteger("number");
+  const text = interaction.options.getString("ruling");
+  const source = interaction.options.getString("source");
+
+  let embed;
+  if (editRuling(card, number, text, source)) {
+    saveRulings();
+    embed = new EmbedBuilder()
+      .setTitle("Ruling edited!")
+      .setDescription(
+        `Ruling ${number} of ${card.fullNames.frontFace} is now:\n>>> ${text}`
+      )
+      .setColor(+process.env.COLOR_INFO);
+  } else {
+    embed = new EmbedBuilder()
+      .setTitle("Ruling does not exist!")
+      .setDescription(
+        `${card.fullNames.frontFace} does not have a ruling ${number}.`
+      )
+      .setColor(+process.env.COLOR_ERROR);
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = searchNormalisedCardTitles(focusedValue)
+    .slice(0, 25)
+    .map((title) => ({ name: denormaliseCardTitle(title), value: title }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
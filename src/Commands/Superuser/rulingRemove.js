@@ -0,0 +1,84 @@
+/**
+ * A secret command for removing rulings from cards.
+ *
+ * @file   This files defines the rulingRemove command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { removeRuling, saveRulings } from "../../WitchesRevel/rulings.js";
+import { normalise } from "../../Utility/text.js";
+import {
+  denormaliseCardTitle,
+  getClosestCard,
+  searchNormalisedCardTitles,
+} from "../../WitchesRevel/api.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("remove_ruling")
+  .setDescription("removes one of a card's rulings")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .addStringOption((option) =>
+    option
+      .setName("card")
+      .setDescription("the card the ruling applies to")
+      .setRequired(true)
+      .setAutocomplete(true)
+  )
+  .addIntegerOption((option) =>
+    option
+      .setName("number")
+      .setDescription("the number of the ruling, as shown by /rulings")
+      .setRequired(true)
+      .setMinValue(1)
+  );
+
+const meta = {
+  hideFromHelp: true,
+  permission: "botModerator",
+};
+
+async function execute(interaction, client) {
+  const card = getClosestCard(interaction.options.getString("card"));
+  const number = interaction.options.getInteger("number");
+
+  let embed;
+  if (removeRuling(card, number)) {
+    saveRulings();
+    embed = new EmbedBuilder()
+      .setTitle("Ruling removed!")
+      .setDescription(
+        `Removed ruling ${number} from ${card.fullNames.frontFace}. Any later rulings have been renumbered.`
+      )
+      .setColor(+process.env.COLOR_INFO);
+  } else {
+    embed = new EmbedBuilder()
+      .setTitle("Ruling does not exist!")
+      .setDescription(
+        `${card.fullNames.frontFace} does not have a ruling ${number}.`
+      )
+      .setColor(+process.env.COLOR_ERROR);
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = searchNormalisedCardTitles(focusedValue)
+    .slice(0, 25)
+    .map((title) => ({ name: denormaliseCardTitle(title), value: title }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -23,22 +23,11 @@ const data = new SlashCommandBuilder()
 
 const meta = {
   hideFromHelp: true,
+  permission: "owner",
   ignoreWhitelist: true,
 };
 
 async function execute(interaction, client) {
-  // Verify superuser status - TODO: create permissions module
-  if (interaction.user.id != process.env.SUPER_USER) {
-    const embed = new EmbedBuilder()
-      .setTitle("Invalid permissions!")
-      .setDescription(
-        `You do not have permission to use this command, but you are seeing it because Discord does not allow any commands to be hidden from admnistrators.`
-      )
-      .setColor(+process.env.COLOR_ERROR);
-    await interaction.reply({ embeds: [embed], ephemeral: true });
-    return;
-  }
-
   let embed;
   if (wl.getWhitelistedServerIds().length) {
     wl.clear();
@@ -0,0 +1,186 @@
+/**
+ * A command for viewing a card.
+ *
+ * @file   This files defines the card command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { applyAlias, resolveAlias } from "../WitchesRevel/aliases.js";
+import {
+  denormaliseCardTitle,
+  findPrint,
+  getClosestCard,
+  getDefaultPrint,
+  getPrints,
+  matchCard,
+  printToString,
+  rankCardTitles,
+} from "../WitchesRevel/api.js";
+import { createCardMessage } from "../Interactions/flip.js";
+import {
+  createSuggestionMessage,
+  needsSuggestions,
+} from "../Interactions/suggest.js";
+import { getGuildSetting } from "../Permissions/guildConfig.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("card")
+  .setDescription("displays a card")
+  .addStringOption((option) =>
+    option
+      .setName("card")
+      .setDescription("the card to display")
+      .setRequired(true)
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("mode")
+      .setDescription(
+        "how to display the card (defaults to the server's embed style)"
+      )
+      .addChoices(
+        { name: "text", value: "text" },
+        { name: "art", value: "art" },
+        { name: "both", value: "both" }
+      )
+  )
+  .addStringOption((option) =>
+    option
+      .setName("printing")
+      .setDescription(
+        "the expansion and/or collector number of the printing to display, e.g. #12"
+      )
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("face")
+      .setDescription("which face of the card to display")
+      .addChoices(
+        { name: "front", value: "frontFace" },
+        { name: "back", value: "backFace" }
+      )
+  );
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("card");
+  const mode =
+    interaction.options.getString("mode") ??
+    getGuildSetting(interaction.guildId, "embed_style");
+  const printQuery = interaction.options.getString("printing");
+  const faceOption = interaction.options.getString("face");
+  const match = matchCard(query, interaction.guildId);
+  const { card, face: matchedFace } = match;
+  const modes = mode == "both" ? ["text", "art"] : [mode];
+
+  if (!card) {
+    const embed = new EmbedBuilder()
+      .setTitle("Card not found!")
+      .setDescription(`No card could be found matching \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // Ask which card was meant rather than guessing
+  if (needsSuggestions(match)) {
+    await interaction.reply(
+      createSuggestionMessage(
+        query,
+        match.candidates,
+        printQuery,
+        faceOption,
+        modes,
+        interaction.user.id
+      )
+    );
+    return;
+  }
+
+  const print = printQuery
+    ? findPrint(card, printQuery)
+    : getDefaultPrint(card);
+  if (!print) {
+    const embed = new EmbedBuilder()
+      .setTitle("Printing not found!")
+      .setDescription(
+        `${card.fullNames.frontFace} has no printing matching \`${printQuery}\`.`
+      )
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // The face option overrides the face whose title was matched
+  const face = faceOption ? faceOption : matchedFace;
+
+  await interaction.reply(createCardMessage(card, print, face, modes));
+}
+
+async function autocomplete(interaction) {
+  const focusedOption = interaction.options.getFocused(true);
+  if (focusedOption.name == "printing") {
+    await autocompletePrinting(interaction, focusedOption.value);
+    return;
+  }
+
+  const focusedValue = focusedOption.value;
+  if (!focusedValue.trim()) {
+    await interaction.respond([]);
+    return;
+  }
+
+  // Cards the input is an alias for come first, followed by the fuzzy ranking
+  const titles = resolveAlias(focusedValue, interaction.guildId).map(
+    (cardName) => getClosestCard(cardName).fullNames.frontFace
+  );
+  rankCardTitles(focusedValue, 25).forEach((title) => {
+    const cardTitle = denormaliseCardTitle(title);
+    if (!titles.includes(cardTitle)) {
+      titles.push(cardTitle);
+    }
+  });
+
+  const validChoices = titles
+    .slice(0, 25)
+    .map((title) => ({ name: title, value: title }));
+  await interaction.respond(validChoices);
+}
+
+/**
+ * Suggests printings of the card currently entered in the card option.
+ *
+ * @param {Object} interaction The autocomplete interaction.
+ * @param {string} focusedValue The current value of the printing option.
+ */
+async function autocompletePrinting(interaction, focusedValue) {
+  const cardName = interaction.options.getString("card");
+  const card = cardName
+    ? getClosestCard(applyAlias(cardName, interaction.guildId))
+    : null;
+  if (!card) {
+    await interaction.respond([]);
+    return;
+  }
+
+  const query = normalise(focusedValue);
+  const validChoices = getPrints(card)
+    .map(printToString)
+    .filter((printing) => normalise(printing).includes(query))
+    .slice(0, 25)
+    .map((printing) => ({ name: printing, value: printing }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -0,0 +1,183 @@
+/**
+ * A command for viewing the card of the day, and for server admins to choose
+ * when and where it is posted.
+ *
+ * @file   This files defines the cardOfTheDay command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { ChannelType, EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import * as cotd from "../WitchesRevel/cardOfTheDay.js";
+import {
+  createPermissionDeniedEmbed,
+  hasPermission,
+} from "../Permissions/permissions.js";
+import { getLocalDateTime, isValidTimeZone } from "../Utility/time.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/; // e.g. "9:00" or "17:30"
+
+const data = new SlashCommandBuilder()
+  .setName("card_of_the_day")
+  .setDescription("displays the card of the day, or changes when it is posted")
+  .addSubcommand((subcommand) =>
+    subcommand.setName("today").setDescription("displays today's card")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("view")
+      .setDescription("displays when and where the card of the day is posted")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("set")
+      .setDescription("posts the card of the day in a channel every day")
+      .addChannelOption((option) =>
+        option
+          .setName("channel")
+          .setDescription("the channel to post the card in")
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("time")
+          .setDescription(
+            "the time to post the card, e.g. 17:30 (defaults to 00:00)"
+          )
+      )
+      .addStringOption((option) =>
+        option
+          .setName("time_zone")
+          .setDescription(
+            "the time zone of the time, e.g. Europe/London (defaults to UTC)"
+          )
+          .setAutocomplete(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("disable")
+      .setDescription("stops posting the card of the day")
+  );
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const subcommand = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  let embed;
+
+  // Show today's card, using the server's time zone if it has one
+  if (subcommand == "today") {
+    const timeZone = guildId
+      ? cotd.getSchedule(guildId)?.timeZone ?? "UTC"
+      : "UTC";
+    const { date } = getLocalDateTime(new Date(), timeZone);
+    await interaction.reply(cotd.createCardOfTheDayMessage(date));
+    return;
+  }
+
+  // Everything else changes or describes the server's schedule
+  if (!guildId) {
+    embed = new EmbedBuilder()
+      .setTitle("Not in a server!")
+      .setDescription("The card of the day can only be scheduled in a server.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  if (subcommand != "view" && !hasPermission(interaction, "guildAdmin")) {
+    embed = createPermissionDeniedEmbed("guildAdmin");
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // View the schedule
+  if (subcommand == "view") {
+    const schedule = cotd.getSchedule(guildId);
+    embed = new EmbedBuilder()
+      .setTitle("Card of the day!")
+      .setDescription(
+        schedule
+          ? scheduleToString(schedule)
+          : "The card of the day is not posted in this server."
+      )
+      .setColor(+process.env.COLOR_INFO);
+  }
+  // Change the schedule
+  else if (subcommand == "set") {
+    const channel = interaction.options.getChannel("channel");
+    const time = interaction.options.getString("time") ?? "00:00";
+    const timeZone = interaction.options.getString("time_zone") ?? "UTC";
+    const timeMatch = time.trim().match(TIME);
+
+    if (!timeMatch) {
+      embed = new EmbedBuilder()
+        .setTitle("Invalid time!")
+        .setDescription(
+          `\`${time}\` is not a valid time. Times are in 24 hour format, e.g. \`17:30\`.`
+        )
+        .setColor(+process.env.COLOR_ERROR);
+    } else if (!isValidTimeZone(timeZone)) {
+      embed = new EmbedBuilder()
+        .setTitle("Invalid time zone!")
+        .setDescription(
+          `\`${timeZone}\` is not a valid time zone. Time zones are written like \`Europe/London\`.`
+        )
+        .setColor(+process.env.COLOR_ERROR);
+    } else {
+      const paddedTime = `${timeMatch[1].padStart(2, "0")}:${timeMatch[2]}`;
+      cotd.setSchedule(guildId, channel.id, paddedTime, timeZone);
+      cotd.saveCardOfTheDay();
+      embed = new EmbedBuilder()
+        .setTitle("Card of the day scheduled!")
+        .setDescription(scheduleToString(cotd.getSchedule(guildId)))
+        .setColor(+process.env.COLOR_INFO);
+    }
+  }
+  // Remove the schedule
+  else if (subcommand == "disable") {
+    if (cotd.removeSchedule(guildId)) {
+      cotd.saveCardOfTheDay();
+      embed = new EmbedBuilder()
+        .setTitle("Card of the day disabled!")
+        .setDescription("The card of the day will no longer be posted.")
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      embed = new EmbedBuilder()
+        .setTitle("Card of the day not scheduled!")
+        .setDescription("The card of the day is not posted in this server.")
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = Intl.supportedValuesOf("timeZone")
+    .filter((timeZone) => normalise(timeZone).includes(focusedValue))
+    .slice(0, 25)
+    .map((timeZone) => ({ name: timeZone, value: timeZone }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {Schedule} schedule A server's card of the day schedule.
+ * @return {string} A sentence describing when and where the card is posted.
+ */
+function scheduleToString(schedule) {
+  return `The card of the day is posted in <#${schedule.channelId}> at ${schedule.time} (${schedule.timeZone}) every day.`;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -0,0 +1,138 @@
+/**
+ * A command for server admins to view and change the bot's settings for their
+ * server.
+ *
+ * @file   This files defines the config command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import * as gc from "../Permissions/guildConfig.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const settingChoices = gc
+  .getSettingNames()
+  .map((name) => ({ name: name, value: name }));
+
+const data = new SlashCommandBuilder()
+  .setName("config")
+  .setDescription("views or changes my settings for this server")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .setDMPermission(false)
+  .addSubcommand((subcommand) =>
+    subcommand.setName("view").setDescription("displays all settings")
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("set")
+      .setDescription("changes a setting")
+      .addStringOption((option) =>
+        option
+          .setName("setting")
+          .setDescription("the setting to change")
+          .setRequired(true)
+          .addChoices(...settingChoices)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("value")
+          .setDescription("the new value of the setting")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("reset")
+      .setDescription("resets a setting to its default")
+      .addStringOption((option) =>
+        option
+          .setName("setting")
+          .setDescription("the setting to reset (if unset, reset all settings)")
+          .addChoices(...settingChoices)
+      )
+  );
+
+const meta = {
+  ignoreIgnoredChannels: true,
+  permission: "guildAdmin",
+};
+
+async function execute(interaction, client) {
+  const guildId = interaction.guildId;
+  const subcommand = interaction.options.getSubcommand();
+  const setting = interaction.options.getString("setting");
+  let embed;
+
+  // View all settings
+  if (subcommand == "view") {
+    embed = new EmbedBuilder()
+      .setTitle("Server settings!")
+      .setColor(+process.env.COLOR_INFO)
+      .addFields(
+        gc.getSettingNames().map((name) => settingToField(guildId, name))
+      );
+  }
+  // Change a setting
+  else if (subcommand == "set") {
+    const value = interaction.options.getString("value");
+    if (gc.setGuildSetting(guildId, setting, value)) {
+      gc.saveGuildConfig();
+      embed = new EmbedBuilder()
+        .setTitle("Setting changed!")
+        .setDescription(
+          `\`${setting}\` ⇒ ${gc.formatGuildSetting(guildId, setting)}`
+        )
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      const description = gc.describeSetting(setting);
+      embed = new EmbedBuilder()
+        .setTitle("Invalid value!")
+        .setDescription(
+          `\`${value}\` is not a valid value for \`${setting}\`.\n${description}`
+        )
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+  // Reset one or all settings
+  else if (subcommand == "reset") {
+    gc.resetGuildSetting(guildId, setting);
+    gc.saveGuildConfig();
+    embed = new EmbedBuilder()
+      .setTitle(setting ? "Setting reset!" : "All settings reset!")
+      .setDescription(
+        setting
+          ? `\`${setting}\` ⇒ ${gc.formatGuildSetting(guildId, setting)}`
+          : "All settings for this server have been reset to their defaults."
+      )
+      .setColor(+process.env.COLOR_INFO);
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {string} guildId The ID of the server.
+ * @param {string} name The name of a setting.
+ * @return {Object} An embed field displaying the setting's value and description.
+ */
+function settingToField(guildId, name) {
+  const isDefault = !gc.isGuildSettingSet(guildId, name);
+  const value = gc.formatGuildSetting(guildId, name);
+  return {
+    name: isDefault ? `${name} (default)` : name,
+    value: `${value}\n-# ${gc.describeSetting(name)}`,
+  };
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
@@ -0,0 +1,55 @@
+/**
+ * A command for summarising a decklist.
+ *
+ * @file   This files defines the deck command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { SlashCommandBuilder } from "discord.js";
+import { createDeckModal, createDeckReply } from "../Interactions/deck.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("deck")
+  .setDescription("summarises a decklist")
+  .addStringOption((option) =>
+    option
+      .setName("list")
+      .setDescription(
+        "the cards in the deck, separated by semicolons, e.g. 3x card; 2x card (if unset, opens a form)"
+      )
+  )
+  .addStringOption((option) =>
+    option
+      .setName("name")
+      .setDescription("the name of the deck")
+      .setMaxLength(100)
+  );
+data.longDescription = `Summarises a decklist, grouping its cards by type and breaking down its domains and stats.
+
+Each card can be given a count, e.g. \`3x Card\`, \`3 Card\` or \`Card x3\`. Cards can be separated by semicolons, or entered one per line in the form that opens if no list is given.
+
+Decklists can also be posted in a code block marked \`deck\`, or in any code block where every line starts with a count.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const list = interaction.options.getString("list");
+  const title = interaction.options.getString("name");
+
+  if (!list) {
+    await interaction.showModal(createDeckModal(title));
+    return;
+  }
+
+  await interaction.reply(
+    createDeckReply(title ?? "Deck", list, interaction.guildId)
+  );
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
@@ -0,0 +1,61 @@
+/**
+ * A command for browsing the cards in an expansion.
+ *
+ * @file   This files defines the expansion command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { findExpansion, getAllExpansions } from "../WitchesRevel/api.js";
+import { createPaginatedMessage } from "../Interactions/pagination.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("expansion")
+  .setDescription("lists the cards in an expansion")
+  .addStringOption((option) =>
+    option
+      .setName("expansion")
+      .setDescription("the expansion to list")
+      .setRequired(true)
+      .setAutocomplete(true)
+  );
+data.longDescription = `Displays an overview of an expansion (its release date, number of cards and domains) and lists its cards in collector number order.
+
+Choose a card from the menu below the list to view it.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("expansion");
+  const expansion = findExpansion(query);
+
+  if (!expansion) {
+    const embed = new EmbedBuilder()
+      .setTitle("Expansion not found!")
+      .setDescription(`No expansion could be found matching \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply(createPaginatedMessage("expansion", [expansion.id]));
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = Object.values(getAllExpansions())
+    .map((expansion) => expansion.collationName)
+    .filter((expansion) => normalise(expansion).includes(focusedValue))
+    .slice(0, 25)
+    .map((expansion) => ({ name: expansion, value: expansion }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -0,0 +1,57 @@
+/**
+ * A command for looking up the definitions of game terms.
+ *
+ * @file   This files defines the glossary command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { createGlossaryEmbed } from "../WitchesRevel/embed.js";
+import { findTerm, rankTerms } from "../WitchesRevel/glossary.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("glossary")
+  .setDescription("displays the definition of a keyword or game term")
+  .addStringOption((option) =>
+    option
+      .setName("term")
+      .setDescription("the term to define")
+      .setRequired(true)
+      .setAutocomplete(true)
+  );
+data.longDescription = `Displays the definition of a keyword or other game term.
+
+Terms can also be looked up with the inline command \`<<keyword>>\`, and cards list the definitions of any terms in their text.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("term");
+  const entry = findTerm(query);
+
+  if (!entry) {
+    const embed = new EmbedBuilder()
+      .setTitle("Term not found!")
+      .setDescription(`No term could be found matching \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ embeds: [createGlossaryEmbed(entry)] });
+}
+
+async function autocomplete(interaction) {
+  const validChoices = rankTerms(interaction.options.getFocused(), 25).map(
+    (term) => ({ name: term, value: term })
+  );
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
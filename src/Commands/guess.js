@@ -0,0 +1,82 @@
+/**
+ * A command for starting a "guess the card" game.
+ *
+ * @file   This files defines the guess command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import {
+  createGuessMessage,
+  createRevealMessage,
+} from "../Interactions/guess.js";
+import { endGame, startGame } from "../WitchesRevel/guess.js";
+import { logError } from "../Utility/error.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("guess")
+  .setDescription("starts a game of guess the card")
+  .addStringOption((option) =>
+    option
+      .setName("clue")
+      .setDescription("the kind of clue to give (defaults to a random one)")
+      .addChoices(
+        { name: "text", value: "text" },
+        { name: "stats", value: "stats" },
+        { name: "art", value: "art" }
+      )
+  );
+data.longDescription = `Starts a game of guess the card in this channel. The bot gives a clue about a random card: its text with its name hidden, its type and stats, or a small image of its art.
+
+Answer by typing the card's name in the channel, or with the Answer button. The first player to name the card wins a point. Use \`/leaderboard\` to see the server's scores.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const { channelId } = interaction;
+
+  // Scores are kept per server
+  if (!interaction.guildId) {
+    const embed = new EmbedBuilder()
+      .setTitle("Not in a server!")
+      .setDescription("Guess the card can only be played in a server.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  const clue = interaction.options.getString("clue");
+  const game = startGame(channelId, clue, (game) => {
+    client.channels
+      .fetch(channelId)
+      .then((channel) => channel.send(createRevealMessage(game, "Time's up!")))
+      .catch(logError);
+  });
+
+  if (!game) {
+    const embed = new EmbedBuilder()
+      .setTitle("Game in progress!")
+      .setDescription(
+        "A game is already running in this channel. Guess the card, or give up to start a new game."
+      )
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // Do not leave a game nobody can see running if the clue cannot be sent
+  try {
+    await interaction.reply(createGuessMessage(game));
+  } catch (err) {
+    endGame(channelId);
+    throw err;
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
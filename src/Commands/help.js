@@ -8,6 +8,7 @@
 ///////////////////////////////////////////////////////////////////////////////
 
 import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { getDataSource } from "../WitchesRevel/api.js";
 import { normalise } from "../Utility/text.js";
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -51,6 +52,12 @@ async function execute(interaction, client) {
         **Searching for Witches' Revel cards**
         \`[[card]]\` to view a card
         \`{{card}}\` to view its art
+        \`[[card|expansion]]\` or \`[[card|#number]]\` to view a specific printing
+        \`[[card/back]]\` to view the back of a card
+        \`[[? query]]\` to search for cards (see \`/help search\`)
+        \`((card))\` to view a card's rulings
+        \`<<keyword>>\` to view the definition of a keyword
+        A decklist in a code block to summarise it (see \`/help deck\`)
 
         **Commands**`;
 
@@ -66,6 +73,16 @@ async function execute(interaction, client) {
     .setDescription(descriptionText)
     .setColor(color);
 
+  // Warn users if the card data could not be updated from the API
+  const source = getDataSource();
+  if (source.stale) {
+    embed.setFooter({
+      text: `The card database could not be reached. Card data may be out of date (last updated ${new Date(
+        source.savedAt
+      ).toDateString()}).`,
+    });
+  }
+
   await interaction.reply({ embeds: [embed] });
 }
 
@@ -0,0 +1,72 @@
+/**
+ * A command for displaying a server's guess the card scores.
+ *
+ * @file   This files defines the leaderboard command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { getLeaderboard } from "../WitchesRevel/guess.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const LEADERBOARD_LENGTH = 10;
+
+const data = new SlashCommandBuilder()
+  .setName("leaderboard")
+  .setDescription("displays this server's guess the card scores");
+
+const meta = {};
+
+async function execute(interaction, client) {
+  if (!interaction.guildId) {
+    const embed = new EmbedBuilder()
+      .setTitle("Not in a server!")
+      .setDescription("Scores are only kept in servers.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  const leaderboard = getLeaderboard(interaction.guildId);
+  const lines = leaderboard
+    .slice(0, LEADERBOARD_LENGTH)
+    .map((entry, index) => entryToString(entry, index));
+
+  // Show the user's own rank if they are not near the top
+  const rank = leaderboard.findIndex(
+    (entry) => entry.userId == interaction.user.id
+  );
+  if (rank >= LEADERBOARD_LENGTH) {
+    lines.push("…", entryToString(leaderboard[rank], rank));
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("Leaderboard!")
+    .setDescription(
+      lines.length > 0
+        ? lines.join("\n")
+        : "Nobody has guessed a card yet. Start a game with `/guess`!"
+    )
+    .setColor(+process.env.COLOR_INFO);
+  await interaction.reply({ embeds: [embed] });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {{userId: string, score: int}} entry A player's score.
+ * @param {int} index The player's position on the leaderboard (starting from 0).
+ * @return {string} A single line containing the player's rank, mention and score.
+ */
+function entryToString(entry, index) {
+  return `${index + 1}. <@${entry.userId}> • ${entry.score} point${
+    entry.score == 1 ? "" : "s"
+  }`;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
@@ -0,0 +1,225 @@
+/**
+ * A command for viewing and changing who can use the bot's restricted
+ * commands.
+ *
+ * @file   This files defines the permissions command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  EmbedBuilder,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import * as perms from "../Permissions/permissions.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("permissions")
+  .setDescription("views or changes who can use my restricted commands")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("view")
+      .setDescription(
+        "displays the bot's owners and moderators, and this server's admin roles"
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("grant_role")
+      .setDescription(
+        "gives members of a role admin permissions in this server"
+      )
+      .addRoleOption((option) =>
+        option
+          .setName("role")
+          .setDescription("the role to grant admin permissions to")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("revoke_role")
+      .setDescription("removes admin permissions from a role in this server")
+      .addRoleOption((option) =>
+        option
+          .setName("role")
+          .setDescription("the role to revoke admin permissions from")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("add_moderator")
+      .setDescription("makes a user a bot moderator (bot owners only)")
+      .addUserOption((option) =>
+        option
+          .setName("user")
+          .setDescription("the user to make a bot moderator")
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName("remove_moderator")
+      .setDescription("stops a user being a bot moderator (bot owners only)")
+      .addUserOption((option) =>
+        option
+          .setName("user")
+          .setDescription("the user to stop being a bot moderator")
+          .setRequired(true)
+      )
+  );
+
+const meta = {
+  hideFromHelp: true,
+  ignoreIgnoredChannels: true,
+  permission: "guildAdmin",
+};
+
+async function execute(interaction, client) {
+  const subcommand = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  let embed;
+
+  // Only owners can change who the moderators are
+  if (
+    (subcommand == "add_moderator" || subcommand == "remove_moderator") &&
+    !perms.hasPermission(interaction, "owner")
+  ) {
+    embed = perms.createPermissionDeniedEmbed("owner");
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // Roles can only be granted from the server they belong to
+  if ((subcommand == "grant_role" || subcommand == "revoke_role") && !guildId) {
+    embed = new EmbedBuilder()
+      .setTitle("Not in a server!")
+      .setDescription("Roles can only be granted permissions from a server.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  // View all permissions
+  if (subcommand == "view") {
+    const level = perms.getPermissionLevel(interaction);
+    embed = new EmbedBuilder()
+      .setTitle("Permissions!")
+      .setDescription(
+        `Your permission level is **${perms.PERMISSION_LEVELS[level]}**.`
+      )
+      .setColor(+process.env.COLOR_INFO)
+      .addFields(
+        {
+          name: "Bot owners",
+          value: usersToString(perms.getOwnerIds()),
+        },
+        {
+          name: "Bot moderators",
+          value: usersToString(perms.getModeratorIds()),
+        }
+      );
+    if (guildId) {
+      const roles = perms.getAdminRoleIds(guildId);
+      embed.addFields({
+        name: "Server admin roles",
+        value:
+          roles.length > 0
+            ? roles.map((id) => `<@&${id}>`).join(", ")
+            : "None (only members with the Manage Server permission)",
+      });
+    }
+  }
+  // Grant a role admin permissions
+  else if (subcommand == "grant_role") {
+    const role = interaction.options.getRole("role");
+    if (perms.grantAdminRole(guildId, role.id)) {
+      perms.savePermissions();
+      embed = new EmbedBuilder()
+        .setTitle("Role granted!")
+        .setDescription(
+          `Members of <@&${role.id}> now have admin permissions in this server.`
+        )
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      embed = new EmbedBuilder()
+        .setTitle("Role already granted!")
+        .setDescription(`<@&${role.id}> already has admin permissions.`)
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+  // Revoke a role's admin permissions
+  else if (subcommand == "revoke_role") {
+    const role = interaction.options.getRole("role");
+    if (perms.revokeAdminRole(guildId, role.id)) {
+      perms.savePermissions();
+      embed = new EmbedBuilder()
+        .setTitle("Role revoked!")
+        .setDescription(
+          `Members of <@&${role.id}> no longer have admin permissions in this server.`
+        )
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      embed = new EmbedBuilder()
+        .setTitle("Role not granted!")
+        .setDescription(`<@&${role.id}> does not have admin permissions.`)
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+  // Add a moderator
+  else if (subcommand == "add_moderator") {
+    const user = interaction.options.getUser("user");
+    if (perms.addModerator(user.id)) {
+      perms.savePermissions();
+      embed = new EmbedBuilder()
+        .setTitle("Moderator added!")
+        .setDescription(`<@${user.id}> is now a bot moderator.`)
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      embed = new EmbedBuilder()
+        .setTitle("Already a moderator!")
+        .setDescription(`<@${user.id}> is already a bot moderator.`)
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+  // Remove a moderator
+  else if (subcommand == "remove_moderator") {
+    const user = interaction.options.getUser("user");
+    if (perms.removeModerator(user.id)) {
+      perms.savePermissions();
+      embed = new EmbedBuilder()
+        .setTitle("Moderator removed!")
+        .setDescription(`<@${user.id}> is no longer a bot moderator.`)
+        .setColor(+process.env.COLOR_INFO);
+    } else {
+      embed = new EmbedBuilder()
+        .setTitle("Not a moderator!")
+        .setDescription(`<@${user.id}> is not a bot moderator.`)
+        .setColor(+process.env.COLOR_ERROR);
+    }
+  }
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {string[]} userIds An array of user IDs.
+ * @return {string} The users as a list of mentions.
+ */
+function usersToString(userIds) {
+  return userIds.length > 0
+    ? userIds.map((id) => `<@${id}>`).join(", ")
+    : "None";
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
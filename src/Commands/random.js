@@ -0,0 +1,163 @@
+/**
+ * A command for displaying random cards.
+ *
+ * @file   This files defines the random command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { createRandomMessage } from "../Interactions/random.js";
+import { getAllExpansions } from "../WitchesRevel/api.js";
+import { SearchSyntaxError } from "../WitchesRevel/search.js";
+import { getGuildSetting } from "../Permissions/guildConfig.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const STAT_RANGE = /^[a-z_]+(<=|>=|=|<|>)[^\s"()]+$/i; // e.g. "cost<=2"
+
+const data = new SlashCommandBuilder()
+  .setName("random")
+  .setDescription("displays random cards")
+  .addIntegerOption((option) =>
+    option
+      .setName("count")
+      .setDescription("the number of cards to display (defaults to 1)")
+      .setMinValue(1)
+      .setMaxValue(10)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("domain")
+      .setDescription("only pick cards from this domain")
+      .addChoices(
+        { name: "flames", value: "flames" },
+        { name: "currents", value: "currents" },
+        { name: "moonlight", value: "moonlight" },
+        { name: "none", value: "none" }
+      )
+  )
+  .addStringOption((option) =>
+    option
+      .setName("type")
+      .setDescription("only pick cards of this type, e.g. spell")
+  )
+  .addStringOption((option) =>
+    option
+      .setName("expansion")
+      .setDescription("only pick cards printed in this expansion")
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("stats")
+      .setDescription("only pick cards with these stats, e.g. cost<=2 power>=3")
+  )
+  .addStringOption((option) =>
+    option
+      .setName("mode")
+      .setDescription(
+        "how to display the cards (defaults to the server's embed style)"
+      )
+      .addChoices(
+        { name: "text", value: "text" },
+        { name: "art", value: "art" }
+      )
+  );
+data.longDescription = `Displays random cards, with a button to reroll them.
+
+Cards can be filtered by domain, type, expansion and stats. Stats are given as ranges, e.g. \`cost<=2 power>=3\`, using \`=\`, \`<\`, \`<=\`, \`>\` or \`>=\`.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const count = interaction.options.getInteger("count") ?? 1;
+  const style = getGuildSetting(interaction.guildId, "embed_style");
+  const mode =
+    interaction.options.getString("mode") ?? (style == "art" ? "art" : "text");
+  const stats = interaction.options.getString("stats");
+
+  // Stat ranges are the only part of the query users type directly, so check they are only stat ranges
+  if (
+    stats &&
+    !stats
+      .trim()
+      .split(/\s+/)
+      .every((term) => STAT_RANGE.test(term))
+  ) {
+    const embed = new EmbedBuilder()
+      .setTitle("Invalid stats!")
+      .setDescription(
+        `\`${stats}\` is not a list of stat ranges. Try something like \`cost<=2 power>=3\`.`
+      )
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  let message;
+  try {
+    message = createRandomMessage(filtersToQuery(interaction), count, mode);
+  } catch (err) {
+    if (!(err instanceof SearchSyntaxError)) {
+      throw err;
+    }
+    const embed = new EmbedBuilder()
+      .setTitle("Invalid filters!")
+      .setDescription(err.message)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (!message) {
+    const embed = new EmbedBuilder()
+      .setTitle("No cards found!")
+      .setDescription("No cards match those filters.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply(message);
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = Object.values(getAllExpansions())
+    .map((expansion) => expansion.collationName)
+    .filter((expansion) => normalise(expansion).includes(focusedValue))
+    .slice(0, 25)
+    .map((expansion) => ({ name: expansion, value: expansion }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Converts the command's filters into a card search query.
+ *
+ * @param {Object} interaction The slash command interaction.
+ * @return {string} A search query matching every filter (empty if there are none).
+ */
+function filtersToQuery(interaction) {
+  const { options } = interaction;
+  const terms = [];
+  ["domain", "type", "expansion"].forEach((field) => {
+    const value = options.getString(field)?.replace(/"/g, "");
+    if (value) {
+      terms.push(`${field}:"${value}"`);
+    }
+  });
+  const stats = options.getString("stats");
+  if (stats) {
+    terms.push(stats.trim());
+  }
+  return terms.join(" ");
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
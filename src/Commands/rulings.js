@@ -0,0 +1,71 @@
+/**
+ * A command for viewing a card's rulings.
+ *
+ * @file   This files defines the rulings command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { applyAlias } from "../WitchesRevel/aliases.js";
+import {
+  denormaliseCardTitle,
+  getClosestCard,
+  rankCardTitles,
+} from "../WitchesRevel/api.js";
+import { createRulingsEmbed } from "../WitchesRevel/embed.js";
+import { getRulings } from "../WitchesRevel/rulings.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("rulings")
+  .setDescription("displays a card's rulings")
+  .addStringOption((option) =>
+    option
+      .setName("card")
+      .setDescription("the card to display the rulings of")
+      .setRequired(true)
+      .setAutocomplete(true)
+  );
+data.longDescription = `Displays the rulings and official clarifications for a card.
+
+Rulings can also be displayed with the inline command \`((card))\`, or with the Rulings button on a card.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("card");
+  const card = getClosestCard(applyAlias(query, interaction.guildId));
+
+  if (!card) {
+    const embed = new EmbedBuilder()
+      .setTitle("Card not found!")
+      .setDescription(`No card could be found matching \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({
+    embeds: [createRulingsEmbed(card, getRulings(card))],
+  });
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = interaction.options.getFocused();
+  if (!focusedValue.trim()) {
+    await interaction.respond([]);
+    return;
+  }
+
+  const validChoices = rankCardTitles(focusedValue, 25)
+    .map(denormaliseCardTitle)
+    .map((title) => ({ name: title, value: title }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -0,0 +1,68 @@
+/**
+ * A command for searching for cards using the card search syntax.
+ *
+ * @file   This files defines the search command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { searchCards, SearchSyntaxError } from "../WitchesRevel/search.js";
+import { createPaginatedMessage } from "../Interactions/pagination.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("search")
+  .setDescription("finds all cards matching a search query")
+  .addStringOption((option) =>
+    option
+      .setName("query")
+      .setDescription("the search query, e.g. domain:moonlight cost<=2")
+      .setRequired(true)
+  );
+data.longDescription = `Finds all cards matching a search query.
+
+Plain words search card titles. Filters can be used to search other fields:
+\`domain:flames\`, \`type:spell\`, \`text:"draw a card"\`, \`expansion:"base set"\`
+Stats can be compared with \`:\`, \`<\`, \`<=\`, \`>\` or \`>=\`, e.g. \`cost<=2\`
+
+Terms can be combined with \`and\` (or just spaces), \`or\`, \`not\` (or \`-\`) and brackets, e.g.
+\`domain:moonlight (type:spell or type:ritual) -cost>2\``;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("query");
+
+  let cards;
+  try {
+    cards = searchCards(query);
+  } catch (err) {
+    if (!(err instanceof SearchSyntaxError)) {
+      throw err;
+    }
+    const embed = new EmbedBuilder()
+      .setTitle("Invalid search!")
+      .setDescription(err.message)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (cards.length == 0) {
+    const embed = new EmbedBuilder()
+      .setTitle("No cards found!")
+      .setDescription(`No cards match \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply(createPaginatedMessage("search", [query]));
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
@@ -0,0 +1,52 @@
+/**
+ * A command for finding cards by the words in their rules text.
+ *
+ * @file   This files defines the textSearch command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import { searchCardText } from "../WitchesRevel/api.js";
+import { createPaginatedMessage } from "../Interactions/pagination.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("text_search")
+  .setDescription("finds cards by what they do")
+  .addStringOption((option) =>
+    option
+      .setName("query")
+      .setDescription(
+        "words from the card's rules text, e.g. returns a spell from the discard"
+      )
+      .setRequired(true)
+  );
+data.longDescription = `Finds cards by the words in their rules text and type line, for when you remember what a card does but not what it is called.
+
+Results are ranked by how well they match, and show the part of each card's text that matched. Different forms of a word match each other (e.g. \`returns\` and \`returning\`), and common words like \`the\` are ignored.
+
+Put words in double quotes to only find cards containing that exact phrase, e.g. \`"discard pile" spell\``;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  const query = interaction.options.getString("query");
+
+  if (searchCardText(query).length == 0) {
+    const embed = new EmbedBuilder()
+      .setTitle("No cards found!")
+      .setDescription(`No card's text matches \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  await interaction.reply(createPaginatedMessage("text", [query]));
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute };
@@ -0,0 +1,89 @@
+/**
+ * A command for checking a decklist against the deck construction rules of a
+ * format.
+ *
+ * @file   This files defines the validateDeck command module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder, SlashCommandBuilder } from "discord.js";
+import {
+  createDeckModal,
+  createValidationReply,
+} from "../Interactions/deck.js";
+import { getDefaultFormat, getFormatNames } from "../WitchesRevel/deckRules.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const data = new SlashCommandBuilder()
+  .setName("validate_deck")
+  .setDescription("checks whether a decklist is legal")
+  .addStringOption((option) =>
+    option
+      .setName("list")
+      .setDescription(
+        "the cards in the deck, separated by semicolons, e.g. 3x card; 2x card (if unset, opens a form)"
+      )
+  )
+  .addStringOption((option) =>
+    option
+      .setName("format")
+      .setDescription("the format to check the deck against")
+      .setAutocomplete(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName("name")
+      .setDescription("the name of the deck")
+      .setMaxLength(100)
+  );
+data.longDescription = `Checks whether a decklist follows the deck construction rules of a format, and lists every rule it breaks.
+
+The rules cover the deck's size, the number of copies of each card, which domains it uses, and banned and restricted cards.
+
+Decklists are entered in the same way as for \`/deck\`.`;
+
+const meta = {};
+
+async function execute(interaction, client) {
+  // Decks cannot be checked against rules that do not exist
+  if (getFormatNames().length == 0) {
+    const embed = new EmbedBuilder()
+      .setTitle("No formats!")
+      .setDescription(
+        "No deck construction rules have been set up, so decks cannot be checked."
+      )
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  const list = interaction.options.getString("list");
+  const format = interaction.options.getString("format") ?? getDefaultFormat();
+  const title = interaction.options.getString("name");
+
+  if (!list) {
+    await interaction.showModal(createDeckModal(title, format));
+    return;
+  }
+
+  await interaction.reply(
+    createValidationReply(title ?? "Deck", list, format, interaction.guildId)
+  );
+}
+
+async function autocomplete(interaction) {
+  const focusedValue = normalise(interaction.options.getFocused());
+  const validChoices = getFormatNames()
+    .filter((format) => normalise(format).includes(focusedValue))
+    .slice(0, 25)
+    .map((format) => ({ name: format, value: format }));
+  await interaction.respond(validChoices);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { data, meta, execute, autocomplete };
@@ -7,11 +7,34 @@
 
 ///////////////////////////////////////////////////////////////////////////////
 
+import { EmbedBuilder } from "discord.js";
 import * as wl from "../Permissions/serverWhitelist.js";
+import * as gc from "../Permissions/guildConfig.js";
+import {
+  createPermissionDeniedEmbed,
+  hasPermission,
+} from "../Permissions/permissions.js";
+import {
+  checkRateLimit,
+  createRateLimitEmbed,
+} from "../Permissions/rateLimit.js";
 import { readBool } from "../Utility/env.js";
 import { logError } from "../Utility/error.js";
+import { logDebug } from "../Utility/log.js";
+import { createCounter, createHistogram } from "../Utility/metrics.js";
 
-import { callButton } from "../Interactions/button.js";
+import { handleComponent } from "../Interactions/component.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const COMMANDS = createCounter(
+  "witchesrevel_commands_total",
+  "Slash commands used, by command and result (success, error, ignored, denied or rate_limited)."
+);
+const COMMAND_SECONDS = createHistogram(
+  "witchesrevel_command_duration_seconds",
+  "Time taken to run slash commands, by command."
+);
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -20,9 +43,17 @@ export default async function execute(interaction) {
   if (interaction.isChatInputCommand()) {
     const { client, commandName } = interaction;
     const command = client.commands.get(commandName);
+    const context = {
+      guild: interaction.guildId,
+      channel: interaction.channelId,
+      command: commandName,
+    };
 
     if (!command) {
-      logError(new Error(`The slash command "${commandName}" was not found.`));
+      logError(
+        new Error(`The slash command "${commandName}" was not found.`),
+        context
+      );
       return;
     }
 
@@ -41,11 +72,49 @@ export default async function execute(interaction) {
       return;
     }
 
+    // Check the server has not configured the bot to ignore this channel
+    if (
+      !command.meta.ignoreIgnoredChannels &&
+      gc.isChannelIgnored(interaction.guildId, interaction.channelId)
+    ) {
+      const embed = new EmbedBuilder()
+        .setTitle("Channel ignored!")
+        .setDescription(
+          "This server has configured me to ignore commands in this channel."
+        )
+        .setColor(+process.env.COLOR_ERROR);
+      COMMANDS.increment({ command: commandName, result: "ignored" });
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // Check the user has the permission level the command requires
+    if (
+      command.meta.permission &&
+      !hasPermission(interaction, command.meta.permission)
+    ) {
+      const embed = createPermissionDeniedEmbed(command.meta.permission);
+      COMMANDS.increment({ command: commandName, result: "denied" });
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // Check the user, channel and server are not using commands too quickly
+    if (await replyIfRateLimited(interaction)) {
+      COMMANDS.increment({ command: commandName, result: "rate_limited" });
+      return;
+    }
+
+    logDebug("slash command used", { ...context, query: `${interaction}` });
+    const endTimer = COMMAND_SECONDS.startTimer({ command: commandName });
     try {
-      command.execute(interaction, client);
+      await command.execute(interaction, client);
+      COMMANDS.increment({ command: commandName, result: "success" });
     } catch (err) {
-      logError(err); // Slash command error
+      COMMANDS.increment({ command: commandName, result: "error" });
+      logError(err, context); // Slash command error
     }
+    endTimer();
   }
 
   // Autocomplete slash commands
@@ -53,21 +122,58 @@ export default async function execute(interaction) {
     const { client, commandName } = interaction;
     const command = client.commands.get(commandName);
 
+    const context = {
+      guild: interaction.guildId,
+      channel: interaction.channelId,
+      command: commandName,
+    };
+
     if (!command) {
       logError(
-        new Error(`The autocomplete command "${commandName}" was not found.`)
+        new Error(`The autocomplete command "${commandName}" was not found.`),
+        context
       );
     }
 
     try {
       await command.autocomplete(interaction, client);
     } catch (err) {
-      logError(err); // Autocomplete error
+      logError(err, context); // Autocomplete error
+    }
+  }
+
+  // Buttons, select menus and modals
+  else if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+    if (await replyIfRateLimited(interaction)) {
+      return;
     }
+    await handleComponent(interaction);
   }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
 
-  // Button
-  else if (interaction.isButton()) {
-    callButton(interaction, interaction.customId);
+/**
+ * Checks whether an interaction exceeds any of the rate limits on its user,
+ * channel or server, and tells the user (without showing anyone else) if it
+ * does.
+ *
+ * @param {Object} interaction A command, component or modal interaction.
+ * @return {bool} Whether the interaction was rate limited.
+ */
+async function replyIfRateLimited(interaction) {
+  const limit = checkRateLimit(
+    interaction.user.id,
+    interaction.channelId,
+    interaction.guildId
+  );
+  if (!limit) {
+    return false;
   }
+  await interaction.reply({
+    embeds: [createRateLimitEmbed(limit)],
+    ephemeral: true,
+  });
+  return true;
 }
@@ -8,26 +8,99 @@
 ///////////////////////////////////////////////////////////////////////////////
 
 import { applyAlias } from "../WitchesRevel/aliases.js";
-import { getClosestCard } from "./../WitchesRevel/api.js";
 import {
-  createCardEmbed,
-  createCardImageEmbed,
-} from "./../WitchesRevel/embed.js";
+  findPrint,
+  getClosestCard,
+  getDefaultPrint,
+  matchCard,
+} from "./../WitchesRevel/api.js";
+import { isDecklist, parseDeck } from "../WitchesRevel/deck.js";
+import {
+  createDeckEmbed,
+  createGlossaryEmbed,
+  createRulingsEmbed,
+} from "../WitchesRevel/embed.js";
+import { findTerm } from "../WitchesRevel/glossary.js";
+import { getGame } from "../WitchesRevel/guess.js";
+import { getRulings } from "../WitchesRevel/rulings.js";
+import { searchCards, SearchSyntaxError } from "../WitchesRevel/search.js";
+import { createPaginatedMessage } from "../Interactions/pagination.js";
+import { createCardMessage } from "../Interactions/flip.js";
+import { submitAnswer } from "../Interactions/guess.js";
+import {
+  createSuggestionMessage,
+  needsSuggestions,
+} from "../Interactions/suggest.js";
 
 ///////////////////////////////////////////////////////////////////////////////
 
+import { EmbedBuilder, embedLength } from "discord.js";
 import { readBool } from "../Utility/env.js";
 import { logError } from "../Utility/error.js";
+import { log } from "../Utility/log.js";
+import { createCounter, createHistogram } from "../Utility/metrics.js";
+import { trackReplies, untrackReplies } from "../Utility/replyTracker.js";
 import * as wl from "../Permissions/serverWhitelist.js";
+import * as gc from "../Permissions/guildConfig.js";
+import {
+  checkGuessRateLimit,
+  checkRateLimit,
+} from "../Permissions/rateLimit.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const MESSAGE_EMBEDS = 10; // Max number of embeds Discord allows in a message
+const MESSAGE_EMBED_LENGTH = 6000; // Max total length Discord allows for a message's embeds
+const RATE_LIMIT_EMOJI = "⏳"; // Reaction added to messages ignored for using the bot too quickly
+
+const LOOKUPS = createCounter(
+  "witchesrevel_lookups_total",
+  "Inline commands parsed, by syntax and result (found, not_found, suggested, invalid or duplicate)."
+);
+const LOOKUP_SECONDS = createHistogram(
+  "witchesrevel_lookup_duration_seconds",
+  "Time taken to parse inline commands, by syntax."
+);
 
 ///////////////////////////////////////////////////////////////////////////////
 
 export default async function execute(message) {
+  if (!canRespondTo(message)) {
+    return;
+  }
+
+  // Check whether the message answers a guess the card game
+  if (getGame(message.channelId)) {
+    parseAnswer(message).catch((err) =>
+      logError(err, { guild: message.guildId, channel: message.channelId })
+    );
+  }
+
+  // Spend the rate limits before doing the work of parsing the message
+  try {
+    const count = countInlineCommands(message);
+    if (count == 0 || isRateLimited(message, count)) {
+      return;
+    }
+    const responses = parseInlineCommands(message);
+    if (responses.length > 0) {
+      await sendReplies(message, responses);
+    }
+  } catch (err) {
+    logError(err, { guild: message.guildId, channel: message.channelId });
+  }
+}
+
+/**
+ * @param {Object} message A Discord message.
+ * @return {bool} Whether the bot may respond to the message, given who sent it and where.
+ */
+export function canRespondTo(message) {
   const { author, content } = message;
 
   // Ignore bot/empty messages
   if (author.bot || !content) {
-    return;
+    return false;
   }
 
   // If the whitelist is active, and we're in a server, check the server is whitelisted
@@ -36,94 +109,460 @@ export default async function execute(message) {
     readBool("WHITELIST_SERVERS") &&
     !wl.isServerWhitelisted(message.guildId)
   ) {
-    return;
+    return false;
   }
 
   // If the message was posted in a DM, check DMs are enabled
   if (!message.guildId && !readBool("ALLOW_DIRECT_MESSAGES")) {
-    return;
+    return false;
+  }
+
+  // Check the server has not configured the bot to ignore this channel
+  return !gc.isChannelIgnored(message.guildId, message.channelId);
+}
+
+/**
+ * Checks whether responding to a message would exceed any of the rate limits
+ * on its author, channel or server. The first time a limit is hit, a reaction
+ * is added to the message so the author knows why it was ignored.
+ *
+ * @param {Object} message A Discord message containing inline commands.
+ * @param {int} count The number of responses to the message.
+ * @return {bool} Whether the message should be ignored.
+ */
+export function isRateLimited(message, count) {
+  const limit = checkRateLimit(
+    message.author.id,
+    message.channelId,
+    message.guildId,
+    count
+  );
+  if (limit?.notify) {
+    message.react(RATE_LIMIT_EMOJI).catch(logError);
+  }
+  return limit != null;
+}
+
+/**
+ * Replies to a message with the responses to its inline commands, combined
+ * into as few messages as possible and in the order they were requested. If
+ * the bot has already replied to the message (i.e. it was edited), its replies
+ * are edited to match the new responses instead, and any left over are
+ * deleted. The replies are tracked so they can be updated again if the message
+ * changes.
+ *
+ * @param {Object} message The Discord message the responses are for.
+ * @param {Object[]} responses The message options (embeds and components) of each response, in order.
+ */
+export async function sendReplies(message, responses) {
+  const batches = batchResponses(responses);
+  const previousReplies = untrackReplies(message.id);
+
+  const replies = [];
+  for (const [i, batch] of batches.entries()) {
+    // A reply that can no longer be edited (e.g. it was deleted) is replaced
+    const edited = previousReplies[i]
+      ? await previousReplies[i]
+          .edit({ content: null, embeds: [], components: [], ...batch })
+          .catch((err) => null)
+      : null;
+    replies.push(
+      edited ??
+        (await message.reply({
+          ...batch,
+          allowedMentions: { repliedUser: false },
+        }))
+    );
   }
+  trackReplies(message.id, replies);
 
-  // Parse the message
-  parseInlineCommands(message).catch(logError);
+  await Promise.all(
+    previousReplies
+      .slice(batches.length)
+      .map((reply) => reply.delete().catch((err) => null))
+  );
 }
 
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
- * Parses a Discord message for inline commands and generates responses.
+ * Checks whether a message answers the guess the card game running in its
+ * channel, and announces the winner if it does. Each guess spends the
+ * author's budget of guesses (not their budget of lookups), since checking it
+ * means matching it against every card title. Guesses over the budget are
+ * ignored silently, since most messages in a game channel are just chat.
  *
  * @param {Object} message A Discord message.
  */
-async function parseInlineCommands(message) {
-  const { client, content } = message;
-
-  const filteredContent = content.replace(/(?<!\\)```[\s\S]*?```/g, ""); // Ignore code blocks
-  const regex = /\[\[.*?\]\]|\{\{.*?\}\}/g; // Find inline commands
-  const matches = filteredContent.match(regex);
+async function parseAnswer(message) {
+  const { author, channelId, content, guildId } = message;
 
-  // Ignore messages with no commands
-  if (!matches) {
+  // Card titles are short, so long messages are just chat
+  if (content.length > 100 || checkGuessRateLimit(author.id)) {
     return;
   }
 
-  const channel = client.channels.cache.get(message.channelId);
+  const reply = submitAnswer(channelId, guildId, author.id, content);
+  if (reply) {
+    await message.channel.send(reply);
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Combines responses into as few messages as Discord's embed limits allow,
+ * keeping them in order. Responses with buttons or menus are sent on their
+ * own, since those replace the whole message they are attached to.
+ *
+ * @param {Object[]} responses The message options (embeds and components) of each response, in order.
+ * @return {Object[]} The message options (embeds and components) of each message to send, in order.
+ */
+function batchResponses(responses) {
+  const batches = [];
+  let batch = null;
+  let length = 0;
+
+  responses.forEach((response) => {
+    const interactive = (response.components ?? []).length > 0;
+    const responseLength = response.embeds.reduce(
+      (sum, embed) => sum + embedLength(embed.data),
+      0
+    );
+
+    if (
+      batch &&
+      !interactive &&
+      batch.embeds.length + response.embeds.length <= MESSAGE_EMBEDS &&
+      length + responseLength <= MESSAGE_EMBED_LENGTH
+    ) {
+      batch.embeds.push(...response.embeds);
+      length += responseLength;
+      return;
+    }
+
+    batch = interactive ? null : { embeds: [...response.embeds] };
+    length = responseLength;
+    batches.push(batch ?? response);
+  });
+
+  return batches;
+}
+
+/**
+ * Counts the inline commands in a message that would be answered, without
+ * parsing them. This is cheap, so it can be used to spend the rate limits
+ * before doing the work of parsing.
+ *
+ * @param {Object} message A Discord message.
+ * @return {int} The number of commands and decklists that would be parsed (at most the server's result limit).
+ */
+export function countInlineCommands(message) {
+  const { decklists, commands } = findInlineCommands(message);
+  return Math.min(
+    decklists.length + commands.length,
+    gc.getGuildSetting(message.guildId, "result_limit")
+  );
+}
+
+/**
+ * Parses a Discord message for inline commands and generates responses.
+ *
+ * @param {Object} message A Discord message.
+ * @return {Object[]} The message options (embeds and components) of each response, in order.
+ */
+export function parseInlineCommands(message) {
+  const { decklists, commands } = findInlineCommands(message);
+  const responses = [];
 
   // Pass the parser a list to update with the card that gets fetched
   // If the card is already in the list, do not display it again
   let cards = [];
 
   // Limit number of card embeds per message
-  let countdown = process.env.RESULT_LIMIT;
+  let countdown = gc.getGuildSetting(message.guildId, "result_limit");
+
+  // Summarise any decklists posted in code blocks
+  for (const [language, text] of decklists) {
+    if (countdown < 1) {
+      return responses;
+    }
+    const endTimer = LOOKUP_SECONDS.startTimer({ syntax: "deck" });
+    const response = parseDecklist(message, language, text);
+    endTimer();
+    if (response) {
+      responses.push(response);
+      countdown--;
+    }
+  }
 
   // Parse each command
-  for (const match of matches) {
+  for (const { syntax, rawInput } of commands) {
     if (countdown < 1) {
-      return;
+      return responses;
+    }
+
+    const endTimer = LOOKUP_SECONDS.startTimer({ syntax: syntax });
+    const response =
+      syntax == "search"
+        ? parseSearch(message, rawInput.substring(1).trim())
+        : syntax == "rulings"
+        ? parseRulings(message, rawInput)
+        : syntax == "glossary"
+        ? parseGlossary(message, rawInput)
+        : parseCard(message, syntax, rawInput, cards);
+    endTimer();
+    if (response) {
+      responses.push(response);
+      countdown--;
     }
+  }
+
+  return responses;
+}
+
+/**
+ * Finds the inline commands and decklists in a message that the server has
+ * enabled, without parsing them.
+ *
+ * @param {Object} message A Discord message.
+ * @return {{decklists: [?string, string][], commands: {match: string, syntax: string, rawInput: string}[]}} The language and contents of each code block that is a decklist, and the full match (includes brackets), syntax and contents (excludes brackets) of each command, in order.
+ */
+function findInlineCommands(message) {
+  const { content, guildId } = message;
+
+  const codeBlockRegex = /(?<!\\)```(?:([\w-]*)\n)?([\s\S]*?)```/g;
+  const codeBlocks = [...content.matchAll(codeBlockRegex)];
+  const filteredContent = content.replace(codeBlockRegex, ""); // Ignore code blocks
+  const regex = /\[\[.*?\]\]|\{\{.*?\}\}|\(\(.*?\)\)|<<.*?>>/g; // Find inline commands
+  const matches = filteredContent.match(regex) ?? [];
 
+  const decklists = gc.isInlineSyntaxEnabled(guildId, "deck")
+    ? codeBlocks
+        .filter(([, language, text]) => isDecklist(text, language))
+        .map(([, language, text]) => [language, text])
+    : [];
+
+  const commands = [];
+  for (const match of matches) {
     const rawInput = match.substring(2, match.length - 2).trim();
 
     // Ignore empty inputs and excessively long inputs
     if (!rawInput || rawInput.length > 255) {
-      return;
+      break;
     }
 
-    const success = parseCard(match, rawInput, channel, cards);
-    if (success) {
-      countdown--;
+    // Ignore syntaxes the server has disabled
+    const syntax =
+      match[0] == "["
+        ? rawInput[0] == "?"
+          ? "search"
+          : "card"
+        : match[0] == "{"
+        ? "art"
+        : match[0] == "("
+        ? "rulings"
+        : "glossary";
+    if (gc.isInlineSyntaxEnabled(guildId, syntax)) {
+      commands.push({ match: match, syntax: syntax, rawInput: rawInput });
     }
   }
+
+  return { decklists: decklists, commands: commands };
 }
 
 /**
- * Parses an inline command requesting a card and generates a respose.
+ * Parses an inline command requesting a card and generates a response.
  *
- * @param {string} match The full inline command matched (includes brackets).
+ * A specific printing of the card can be requested by following the card's
+ * name with a "|" and an expansion and/or collector number, e.g.
+ * "[[card|base set]]" or "[[card|#12]]". A face of the card can be requested
+ * by following the card's name with "/back" or "/front", e.g. "[[card/back]]".
+ * If it is unclear which card was meant, the user is asked to choose instead.
+ *
+ * @param {Object} message The Discord message containing the command.
+ * @param {string} syntax The kind of command: "card" to show the card's text, or "art" to show its art.
  * @param {string} query The contents of the command (excludes brackets).
- * @param {Object} channel The Discord channel to send the response to.
- * @param {string[]} previousCards An array of card IDs already parsed from this message to avoid reposting any. Must be updated within.
- * @return {bool} Whether a card embed was successfully sent.
+ * @param {string[]} previousCards An array of card printings (and uncertain queries) already parsed from this message to avoid reposting any. Must be updated within.
+ * @return {?Object} The message options (embeds and components) of the response, or null if there is none.
  */
-async function parseCard(match, query, channel, previousCards) {
-  const card = getClosestCard(applyAlias(query));
+function parseCard(message, syntax, query, previousCards) {
+  const [nameQuery, printQuery] = query.split("|", 2).map((s) => s.trim());
+  const [, cardQuery, faceQuery] = nameQuery.match(
+    /^(.*?)(?:\s*\/\s*(back|front))?$/i
+  );
+  if (!cardQuery) {
+    return null;
+  }
+  const cardMatch = matchCard(cardQuery, message.guildId);
+  const { card, face: matchedFace } = cardMatch;
 
   // Ensure a card was found
   if (!card) {
-    logError(new Error(`Card not found with query "${rawInput}"`));
-    return false;
+    recordLookup(message, syntax, query, "not_found");
+    return null;
   }
 
-  // Do not post more than one copy of each card per message
-  if (previousCards.includes(card.id)) {
-    return false;
+  // A face modifier overrides the face whose title was matched
+  const requestedFace = faceQuery
+    ? faceQuery.toLowerCase() == "back"
+      ? "backFace"
+      : "frontFace"
+    : null;
+  const mode = syntax == "art" ? "art" : "text";
+
+  // Ask which card was meant rather than guessing
+  if (needsSuggestions(cardMatch)) {
+    const key = `?${cardQuery.toLowerCase()}`;
+    if (previousCards.includes(key)) {
+      recordLookup(message, syntax, query, "duplicate");
+      return null;
+    }
+    previousCards.push(key);
+    recordLookup(message, syntax, query, "suggested");
+
+    return createSuggestionMessage(
+      cardQuery,
+      cardMatch.candidates,
+      printQuery,
+      requestedFace,
+      [mode],
+      message.author.id
+    );
+  }
+
+  // Fall back to the default printing if the requested one does not exist
+  const print =
+    (printQuery && findPrint(card, printQuery)) || getDefaultPrint(card);
+
+  const face = requestedFace ?? matchedFace;
+
+  // Do not post more than one copy of each card printing per message
+  const key = `${card.id}#${print.index}/${face}`;
+  if (previousCards.includes(key)) {
+    recordLookup(message, syntax, query, "duplicate");
+    return null;
+  }
+  previousCards.push(key);
+  recordLookup(message, syntax, query, "found");
+
+  // Create embed
+  return createCardMessage(card, print, face, [mode]);
+}
+
+/**
+ * Parses an inline command containing a search query and generates a response.
+ *
+ * @param {Object} message The Discord message containing the command.
+ * @param {string} query The search query (excludes brackets and the leading "?").
+ * @return {?Object} The message options (embeds and components) of the response, or null if there is none.
+ */
+function parseSearch(message, query) {
+  if (!query) {
+    return null;
+  }
+
+  let cards;
+  try {
+    cards = searchCards(query);
+  } catch (err) {
+    if (!(err instanceof SearchSyntaxError)) {
+      throw err;
+    }
+    recordLookup(message, "search", query, "invalid");
+    const embed = new EmbedBuilder()
+      .setTitle("Invalid search!")
+      .setDescription(err.message)
+      .setColor(+process.env.COLOR_ERROR);
+    return { embeds: [embed] };
+  }
+
+  if (cards.length == 0) {
+    recordLookup(message, "search", query, "not_found");
+    const embed = new EmbedBuilder()
+      .setTitle("No cards found!")
+      .setDescription(`No cards match \`${query}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    return { embeds: [embed] };
+  }
+
+  recordLookup(message, "search", query, "found");
+  return createPaginatedMessage("search", [query]);
+}
+
+/**
+ * Parses an inline command requesting a card's rulings and generates a
+ * response.
+ *
+ * @param {Object} message The Discord message containing the command.
+ * @param {string} query The card to display the rulings of (excludes brackets).
+ * @return {?Object} The message options (embeds) of the response, or null if there is none.
+ */
+function parseRulings(message, query) {
+  const card = getClosestCard(applyAlias(query, message.guildId));
+  if (!card) {
+    recordLookup(message, "rulings", query, "not_found");
+    return null;
   }
-  previousCards.push(card.id);
 
-  // Create and send embed
-  const outEmbed =
-    match[0] == "[" ? createCardEmbed(card) : createCardImageEmbed(card);
-  channel.send({ embeds: [outEmbed] });
+  recordLookup(message, "rulings", query, "found");
+  return { embeds: [createRulingsEmbed(card, getRulings(card))] };
+}
+
+/**
+ * Parses an inline command requesting the definition of a game term and
+ * generates a response.
+ *
+ * @param {Object} message The Discord message containing the command.
+ * @param {string} query The term to define (excludes brackets).
+ * @return {?Object} The message options (embeds) of the response, or null if there is none.
+ */
+function parseGlossary(message, query) {
+  const entry = findTerm(query);
+  if (!entry) {
+    recordLookup(message, "glossary", query, "not_found");
+    return null;
+  }
+
+  recordLookup(message, "glossary", query, "found");
+  return { embeds: [createGlossaryEmbed(entry)] };
+}
+
+/**
+ * Parses a decklist posted in a code block, and generates a summary.
+ *
+ * @param {Object} message The Discord message containing the code block.
+ * @param {?string} language The language the code block was marked with, if any.
+ * @param {string} text The contents of the code block (excludes backticks).
+ * @return {?Object} The message options (embeds) of the deck summary, or null if no cards could be found.
+ */
+function parseDecklist(message, language, text) {
+  const deck = parseDeck(text, message.guildId);
+  if (deck.entries.length == 0) {
+    recordLookup(message, "deck", null, "not_found");
+    return null;
+  }
 
-  return true;
+  recordLookup(message, "deck", null, "found");
+  return { embeds: [createDeckEmbed("Deck", deck)] };
+}
+
+/**
+ * Counts an inline command in the metrics, and logs it. Commands that found
+ * nothing are logged at the info level, and the rest at the debug level.
+ *
+ * @param {Object} message The Discord message containing the command.
+ * @param {string} syntax The kind of command, e.g. "card" or "search".
+ * @param {?string} query The contents of the command, if it has a query.
+ * @param {string} result The outcome: "found", "not_found", "suggested" (the user was asked which card they meant), "invalid" or "duplicate" (already answered in this message).
+ */
+function recordLookup(message, syntax, query, result) {
+  LOOKUPS.increment({ syntax: syntax, result: result });
+  log(result == "not_found" ? "info" : "debug", "inline command parsed", {
+    guild: message.guildId,
+    channel: message.channelId,
+    syntax: syntax,
+    query: query,
+    result: result,
+  });
 }
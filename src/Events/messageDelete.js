@@ -0,0 +1,21 @@
+/**
+ * A module for deleting the bot's replies when a message is deleted.
+ *
+ * @file   This files defines the message-delete module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { untrackReplies } from "../Utility/replyTracker.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default async function execute(message) {
+  // Replies may already have been deleted (e.g. by a moderator)
+  await Promise.all(
+    untrackReplies(message.id).map((reply) =>
+      reply.delete().catch((err) => null)
+    )
+  );
+}
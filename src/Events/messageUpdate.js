@@ -0,0 +1,57 @@
+/**
+ * A module for updating the bot's replies when a message is edited.
+ *
+ * @file   This files defines the message-update module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  canRespondTo,
+  countInlineCommands,
+  isRateLimited,
+  parseInlineCommands,
+  sendReplies,
+} from "./messageCreate.js";
+import { logError } from "../Utility/error.js";
+import { hasTrackedReplies } from "../Utility/replyTracker.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default async function execute(oldMessage, newMessage) {
+  updateReplies(oldMessage, newMessage).catch((err) =>
+    logError(err, { guild: newMessage.guildId, channel: newMessage.channelId })
+  );
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Parses an edited message's inline commands again, and edits, sends or
+ * deletes the bot's replies to match.
+ *
+ * @param {Object} oldMessage The Discord message before it was edited (partial if it was not cached).
+ * @param {Object} newMessage The Discord message after it was edited (partial if it was not cached).
+ */
+async function updateReplies(oldMessage, newMessage) {
+  // Ignore updates that do not change the text (e.g. link previews loading)
+  if (!oldMessage.partial && oldMessage.content == newMessage.content) {
+    return;
+  }
+
+  // The bot may have replied to an uncached message before it restarted
+  if (oldMessage.partial && !hasTrackedReplies(newMessage.id)) {
+    return;
+  }
+
+  const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+  const count = canRespondTo(message) ? countInlineCommands(message) : 0;
+
+  // Keep the old replies if the new ones would exceed a rate limit
+  if (count > 0 && isRateLimited(message, count)) {
+    return;
+  }
+  const responses = count > 0 ? parseInlineCommands(message) : [];
+  await sendReplies(message, responses);
+}
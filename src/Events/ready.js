@@ -7,6 +7,10 @@
 
 ///////////////////////////////////////////////////////////////////////////////
 
+import { logInfo } from "../Utility/log.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
 export default async function execute(client) {
-  console.log(`${client.user.tag} online •\n`);
+  logInfo("bot online", { user: client.user.tag });
 }
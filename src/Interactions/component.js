@@ -0,0 +1,182 @@
+/**
+ * A module for creating and routing message component (button and select
+ * menu) and modal interactions.
+ *
+ * Each component's custom ID encodes the name of the handler that responds to
+ * it, when it expires, and any state the handler needs, e.g.
+ * "page:lq3k2a:search:2:domain%3Aflames". Handlers are registered at startup
+ * like commands, so components keep working after the bot restarts. State
+ * that does not fit in a custom ID is kept in memory instead, so components
+ * using it stop working if the bot restarts.
+ *
+ * @file   This files defines the Interactions/component module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder } from "discord.js";
+import { logError } from "../Utility/error.js";
+import { createCounter } from "../Utility/metrics.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const STORED_STATES = {}; // Persistent data (state too long for a custom ID)
+const SESSION_ID = Date.now().toString(36); // Stops stored state IDs being reused after a restart
+let nextStateId = 0; // Used to keep stored state IDs unique
+let lastCleanup = Date.now();
+
+const CUSTOM_ID_LENGTH = 100; // Max length Discord allows
+const CLEANUP_INTERVAL = 60 * 1000; // Min milliseconds between removing expired stored states
+const DEFAULT_LIFETIME = 24 * 60; // Minutes components last for if COMPONENT_LIFETIME is not set
+
+const COMPONENTS = createCounter(
+  "witchesrevel_components_total",
+  "Component and modal interactions, by handler and result (success, error, expired or not_found)."
+);
+
+/**
+ * @typedef ComponentHandler
+ * @type {Object}
+ * @property {string} name - The name the handler is referred to by in custom IDs. Must not contain ":".
+ * @property {function(Object, string[], Object): Promise} execute - Responds to an interaction, given the interaction, the component's state, and the client.
+ */
+
+/**
+ * Creates a custom ID for a component or modal.
+ *
+ * @param {string} handlerName The name of the handler that responds to the component.
+ * @param {string[]} state Any values the handler needs to respond (converted to strings).
+ * @param {int} lifetime The number of minutes the component can be used for (defaults to COMPONENT_LIFETIME).
+ * @return {string} A custom ID.
+ */
+export function createCustomId(handlerName, state = [], lifetime) {
+  const minutes =
+    lifetime ?? (+process.env.COMPONENT_LIFETIME || DEFAULT_LIFETIME);
+  const expires = Math.ceil((Date.now() + minutes * 60 * 1000) / 1000);
+  const prefix = `${handlerName}:${expires.toString(36)}`;
+
+  const customId = [prefix, ...state.map((value) => escape(`${value}`))].join(
+    ":"
+  );
+  if (customId.length <= CUSTOM_ID_LENGTH) {
+    return customId;
+  }
+
+  // Keep state that does not fit in memory until it expires
+  removeExpiredStates();
+  const stateId = `${SESSION_ID}.${(nextStateId++).toString(36)}`;
+  STORED_STATES[stateId] = { state: state.map(String), expires: expires };
+  return `${prefix}:~${stateId}`;
+}
+
+/**
+ * Responds to a component or modal interaction with the handler its custom ID
+ * refers to. If the component has expired, or its handler cannot be found or
+ * fails, the user is sent an error instead.
+ *
+ * @param {Object} interaction A component or modal interaction.
+ */
+export async function handleComponent(interaction) {
+  const { client, customId } = interaction;
+  const [handlerName, expires, ...values] = customId.split(":");
+  const handler = client.components.get(handlerName);
+  const context = {
+    guild: interaction.guildId,
+    channel: interaction.channelId,
+    handler: handlerName,
+  };
+
+  if (!handler) {
+    COMPONENTS.increment({ handler: handlerName, result: "not_found" });
+    logError(
+      new Error(`The component handler "${handlerName}" was not found.`),
+      context
+    );
+    await replyWithError(interaction);
+    return;
+  }
+
+  // Check the component has not expired
+  const state = readState(values);
+  if (parseInt(expires, 36) * 1000 < Date.now() || !state) {
+    COMPONENTS.increment({ handler: handlerName, result: "expired" });
+    await replyWithError(interaction);
+    return;
+  }
+
+  try {
+    await handler.execute(interaction, state, client);
+    COMPONENTS.increment({ handler: handlerName, result: "success" });
+  } catch (err) {
+    COMPONENTS.increment({ handler: handlerName, result: "error" });
+    logError(err, context); // Component error
+    await replyWithError(interaction);
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * Escapes the characters with special meanings in custom IDs.
+ *
+ * @param {string} value A state value.
+ * @return {string} The value, safe to include in a custom ID.
+ */
+function escape(value) {
+  return value.replace(/%/g, "%25").replace(/:/g, "%3A").replace(/~/g, "%7E");
+}
+
+/**
+ * @param {string[]} values The state values read from a custom ID.
+ * @return {?string[]} The component's state, or null if it was stored in memory and has been lost.
+ */
+function readState(values) {
+  if (values.length == 1 && values[0][0] == "~") {
+    const stored = STORED_STATES[values[0].substring(1)];
+    return stored ? stored.state : null;
+  }
+  return values.map(decodeURIComponent);
+}
+
+/**
+ * Removes stored states that have expired, at most once per CLEANUP_INTERVAL.
+ */
+function removeExpiredStates() {
+  const now = Date.now();
+  if (now - lastCleanup < CLEANUP_INTERVAL) {
+    return;
+  }
+  lastCleanup = now;
+
+  Object.keys(STORED_STATES).forEach((stateId) => {
+    if (STORED_STATES[stateId].expires * 1000 < now) {
+      delete STORED_STATES[stateId];
+    }
+  });
+}
+
+/**
+ * Tells the user a component interaction failed, without showing anyone else.
+ *
+ * @param {Object} interaction A component or modal interaction.
+ */
+async function replyWithError(interaction) {
+  const embed = new EmbedBuilder()
+    .setColor(+process.env.COLOR_ERROR)
+    .setTitle("Interaction failed!")
+    .setDescription(
+      "This interaction failed. It is possible it has expired, in which case you will need to run the command again."
+    );
+  const reply = { embeds: [embed], ephemeral: true };
+  try {
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply);
+    } else {
+      await interaction.reply(reply);
+    }
+  } catch (err) {
+    logError(err); // The interaction may no longer be valid
+  }
+}
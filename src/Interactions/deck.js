@@ -0,0 +1,127 @@
+/**
+ * A module for entering decklists with a modal, since slash command options
+ * cannot contain new lines. Decks entered in the modal are either summarised
+ * or checked against the rules of a format.
+ *
+ * @file   This files defines the Interactions/deck module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  ActionRowBuilder,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { createCustomId } from "./component.js";
+import { parseDeck } from "../WitchesRevel/deck.js";
+import { findFormat, validateDeck } from "../WitchesRevel/deckRules.js";
+import {
+  createDeckEmbed,
+  createDeckValidationEmbed,
+} from "../WitchesRevel/embed.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "deck";
+
+/**
+ * @param {?string} title The name of the deck, if the user has already given one.
+ * @param {?string} format The format to check the deck against, or null to summarise the deck instead.
+ * @return {ModalBuilder} A modal asking the user for a decklist and its name.
+ */
+export function createDeckModal(title, format) {
+  return new ModalBuilder()
+    .setCustomId(createCustomId(name, format ? [format] : []))
+    .setTitle(format ? "Check a deck" : "Summarise a deck")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("name")
+          .setLabel("Deck name")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(100)
+          .setRequired(false)
+          .setValue(title ?? "")
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("list")
+          .setLabel("Decklist (one card per line, e.g. 3x Card)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+      )
+    );
+}
+
+/**
+ * Creates the reply to a decklist, either summarising the deck or explaining
+ * that no cards could be found in it.
+ *
+ * @param {string} title The name of the deck.
+ * @param {string} list The decklist.
+ * @param {?string} guildId The ID of the server the decklist was sent in, if any.
+ * @return {Object} The message options (embeds and whether the reply is ephemeral) to send.
+ */
+export function createDeckReply(title, list, guildId) {
+  const deck = parseDeck(list, guildId);
+  if (deck.entries.length == 0) {
+    const embed = new EmbedBuilder()
+      .setTitle("No cards found!")
+      .setDescription("None of the lines in that decklist match a card.")
+      .setColor(+process.env.COLOR_ERROR);
+    return { embeds: [embed], ephemeral: true };
+  }
+  return { embeds: [createDeckEmbed(title, deck)], ephemeral: false };
+}
+
+/**
+ * Creates the reply to a request to check a decklist against a format.
+ *
+ * @param {string} title The name of the deck.
+ * @param {string} list The decklist.
+ * @param {string} format The name of the format, as entered by the user.
+ * @param {?string} guildId The ID of the server the decklist was sent in, if any.
+ * @return {Object} The message options (embeds and whether the reply is ephemeral) to send.
+ */
+export function createValidationReply(title, list, format, guildId) {
+  const formatName = findFormat(format);
+  if (!formatName) {
+    const embed = new EmbedBuilder()
+      .setTitle("Format not found!")
+      .setDescription(`There is no format called \`${format}\`.`)
+      .setColor(+process.env.COLOR_ERROR);
+    return { embeds: [embed], ephemeral: true };
+  }
+
+  const deck = parseDeck(list, guildId);
+  const violations = validateDeck(deck, formatName);
+  return {
+    embeds: [createDeckValidationEmbed(title, formatName, violations)],
+    ephemeral: false,
+  };
+}
+
+/**
+ * Summarises or checks the deck entered in the modal.
+ *
+ * @param {Object} interaction The interaction sent by submitting the modal.
+ * @param {string[]} state The format to check the deck against, if any.
+ */
+async function execute(interaction, state) {
+  const [format] = state;
+  const title = interaction.fields.getTextInputValue("name") || "Deck";
+  const list = interaction.fields.getTextInputValue("list");
+  await interaction.reply(
+    format
+      ? createValidationReply(title, list, format, interaction.guildId)
+      : createDeckReply(title, list, interaction.guildId)
+  );
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
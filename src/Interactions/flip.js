@@ -0,0 +1,96 @@
+/**
+ * A module for displaying cards with a button to flip between their faces.
+ *
+ * @file   This files defines the Interactions/flip module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { createCustomId } from "./component.js";
+import { createRulingsButton } from "./rulings.js";
+import { getCard, getPrints, hasBackFace } from "../WitchesRevel/api.js";
+import {
+  createCardEmbed,
+  createCardImageEmbed,
+} from "../WitchesRevel/embed.js";
+import { readId } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "flip";
+
+/**
+ * Creates the contents of a message displaying a card. If the card has a back
+ * face, a button is added to flip the card to its other face. If the card has
+ * rulings, a button is added to display them.
+ *
+ * @param {Object} card A card.
+ * @param {Object} print The printing of the card to display.
+ * @param {string} face The face of the card to display ("frontFace" or "backFace").
+ * @param {string[]} modes How to display the card: an array containing "text" and/or "art".
+ * @return {Object} The message options (embeds and components) to send.
+ */
+export function createCardMessage(card, print, face, modes) {
+  if (!hasBackFace(card)) {
+    face = "frontFace";
+  }
+
+  const embeds = [];
+  if (modes.includes("text")) {
+    embeds.push(createCardEmbed(card, print, face));
+  }
+  if (modes.includes("art")) {
+    embeds.push(createCardImageEmbed(card, print, face));
+  }
+
+  const buttons = [];
+  if (hasBackFace(card)) {
+    const otherFace = face == "frontFace" ? "backFace" : "frontFace";
+    const buttonId = createCustomId(name, [
+      readId(card.fullNames.frontFace),
+      print.index,
+      otherFace,
+      modes.join(","),
+    ]);
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(buttonId)
+        .setLabel(face == "frontFace" ? "Show back" : "Show front")
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  const rulingsButton = createRulingsButton(card);
+  if (rulingsButton) {
+    buttons.push(rulingsButton);
+  }
+
+  if (buttons.length == 0) {
+    return { embeds: embeds, components: [] };
+  }
+  const row = new ActionRowBuilder().addComponents(buttons);
+  return { embeds: embeds, components: [row] };
+}
+
+/**
+ * Flips a card to the face given by the button that was pressed.
+ *
+ * @param {Object} interaction The interaction sent by a flip button.
+ * @param {string[]} state The card's ID, the index of its printing, the face to display, and the display modes.
+ */
+async function execute(interaction, state) {
+  const [cardId, printIndex, face, modes] = state;
+  const card = getCard(cardId);
+  const print =
+    getPrints(card).find((print) => print.index == printIndex) ??
+    getPrints(card)[0];
+  await interaction.update(
+    createCardMessage(card, print, face, modes.split(","))
+  );
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
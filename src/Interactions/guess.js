@@ -0,0 +1,165 @@
+/**
+ * A module for the messages and buttons of "guess the card" games. Players can
+ * answer in chat, or with a button that opens a modal.
+ *
+ * @file   This files defines the Interactions/guess module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { createCustomId } from "./component.js";
+import { getDefaultPrint } from "../WitchesRevel/api.js";
+import { createCardEmbed, createClueEmbed } from "../WitchesRevel/embed.js";
+import {
+  addPoint,
+  endGame,
+  getGame,
+  isCorrectAnswer,
+  saveGuessScores,
+} from "../WitchesRevel/guess.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "guess";
+
+/**
+ * @param {Game} game A game that has just started.
+ * @return {Object} The message options (embeds and components) showing the game's clue, with buttons to answer or give up.
+ */
+export function createGuessMessage(game) {
+  const embed = createClueEmbed(game.card, game.clue).setFooter({
+    text: "Answer in chat, or with the button below.",
+  });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(createCustomId(name, ["answer", game.cardId]))
+      .setLabel("Answer")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(createCustomId(name, ["give_up", game.cardId]))
+      .setLabel("Give up")
+      .setStyle(ButtonStyle.Secondary)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * @param {Game} game A game that has ended without a winner.
+ * @param {string} reason Why the game ended, e.g. "Time's up!".
+ * @return {Object} The message options (content and embeds) revealing the game's card.
+ */
+export function createRevealMessage(game, reason) {
+  return {
+    content: `${reason} The card was **${game.card.fullNames.frontFace}**.`,
+    embeds: [createCardEmbed(game.card, getDefaultPrint(game.card))],
+  };
+}
+
+/**
+ * Checks a player's answer to the game running in a channel. If it is
+ * correct, the game ends and the player is given a point.
+ *
+ * @param {string} channelId The ID of the channel the answer was given in.
+ * @param {?string} guildId The ID of the server the answer was given in, if any.
+ * @param {string} userId The ID of the player.
+ * @param {string} answer The player's answer.
+ * @return {?Object} The message options (content and embeds) announcing the winner, or null if the answer is wrong or no game is running.
+ */
+export function submitAnswer(channelId, guildId, userId, answer) {
+  const game = getGame(channelId);
+  if (!game || !isCorrectAnswer(game, answer, guildId)) {
+    return null;
+  }
+  endGame(channelId);
+
+  let points = "";
+  if (guildId) {
+    const score = addPoint(guildId, userId);
+    saveGuessScores();
+    points = ` (${score} point${score == 1 ? "" : "s"})`;
+  }
+  return {
+    content: `<@${userId}> guessed it${points}! The card was **${game.card.fullNames.frontFace}**.`,
+    embeds: [createCardEmbed(game.card, getDefaultPrint(game.card))],
+  };
+}
+
+/**
+ * Responds to the buttons and modal of a game.
+ *
+ * @param {Object} interaction The interaction sent by a game's button or modal.
+ * @param {string[]} state The action ("answer", "submit" or "give_up"), and the ID of the game's card.
+ */
+async function execute(interaction, state) {
+  const [action, cardId] = state;
+  const { channelId, guildId, user } = interaction;
+
+  // The game may have been won, or replaced by a new game
+  const game = getGame(channelId);
+  if (!game || game.cardId != cardId) {
+    const embed = new EmbedBuilder()
+      .setTitle("Game over!")
+      .setDescription("This game has already ended.")
+      .setColor(+process.env.COLOR_ERROR);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+
+  if (action == "answer") {
+    await interaction.showModal(createAnswerModal(cardId));
+  } else if (action == "submit") {
+    const answer = interaction.fields.getTextInputValue("answer");
+    const reply = submitAnswer(channelId, guildId, user.id, answer);
+    if (reply) {
+      await interaction.reply(reply);
+    } else {
+      const embed = new EmbedBuilder()
+        .setTitle("Not quite!")
+        .setDescription(`\`${answer}\` is not the card. Keep guessing!`)
+        .setColor(+process.env.COLOR_NEGATIVE);
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+  } else if (action == "give_up") {
+    endGame(channelId);
+    await interaction.reply(
+      createRevealMessage(game, `<@${user.id}> gave up!`)
+    );
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} cardId The ID of the game's card.
+ * @return {ModalBuilder} A modal asking the player for their answer.
+ */
+function createAnswerModal(cardId) {
+  return new ModalBuilder()
+    .setCustomId(createCustomId(name, ["submit", cardId]))
+    .setTitle("Guess the card")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("answer")
+          .setLabel("Card name")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(100)
+          .setRequired(true)
+      )
+    );
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
@@ -0,0 +1,132 @@
+/**
+ * A module for displaying a list of embeds one page at a time.
+ *
+ * The pages are not stored. Instead, each list has a provider that recreates
+ * its pages from a few arguments (e.g. a search query), so the list can be
+ * paged through after the bot restarts.
+ *
+ * @file   This files defines the Interactions/pagination module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { createCustomId } from "./component.js";
+import { createCardSelectRow } from "./select.js";
+import {
+  getExpansion,
+  getExpansionPrints,
+  searchCardText,
+} from "../WitchesRevel/api.js";
+import {
+  CARDS_PER_PAGE,
+  createCardListEmbeds,
+  createExpansionEmbeds,
+  createTextSearchEmbeds,
+} from "../WitchesRevel/embed.js";
+import { searchCards } from "../WitchesRevel/search.js";
+import { truncate } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Functions that create the pages of each kind of list, by name. Each takes
+ * the list's arguments and returns an array of embeds.
+ */
+const PAGE_PROVIDERS = {
+  search: (query) =>
+    createCardListEmbeds(
+      `Search: ${truncate(query, 200, "…")}`,
+      searchCards(query)
+    ),
+  expansion: (expansionId) =>
+    createExpansionEmbeds(
+      getExpansion(expansionId),
+      getExpansionPrints(expansionId)
+    ),
+  text: (query) => createTextSearchEmbeds(query, searchCardText(query)),
+};
+
+/**
+ * Functions that create extra components for each page of a kind of list, by
+ * name. Each takes the index of the page and the list's arguments, and returns
+ * an array of action rows. Lists without one only have page buttons.
+ */
+const PAGE_COMPONENTS = {
+  expansion: (page, expansionId) => {
+    const prints = getExpansionPrints(expansionId).slice(
+      page * CARDS_PER_PAGE,
+      (page + 1) * CARDS_PER_PAGE
+    );
+    return prints.length > 0 ? [createCardSelectRow(prints)] : [];
+  },
+};
+
+const name = "page";
+
+/**
+ * Creates the contents of a message that displays one embed at a time, with
+ * buttons to move between them. If there is only one page, no buttons are
+ * added.
+ *
+ * @param {string} provider The name of the provider that creates the list's pages.
+ * @param {string[]} args The arguments to pass to the provider.
+ * @return {Object} The message options (embeds and components) to send.
+ */
+export function createPaginatedMessage(provider, args) {
+  return renderPage(provider, args, 0);
+}
+
+/**
+ * Moves a paginated message to another page.
+ *
+ * @param {Object} interaction The interaction sent by a page button.
+ * @param {string[]} state The provider's name, the page to move to, and the provider's arguments.
+ */
+async function execute(interaction, state) {
+  const [provider, page, ...args] = state;
+  await interaction.update(renderPage(provider, args, +page));
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} provider The name of the provider that creates the list's pages.
+ * @param {string[]} args The arguments to pass to the provider.
+ * @param {int} page The index of the page to display.
+ * @return {Object} The message options (embeds and components) for that page.
+ */
+function renderPage(provider, args, page) {
+  const pages = PAGE_PROVIDERS[provider](...args);
+
+  // The list may have changed since the message was sent (e.g. the card data was reloaded)
+  page = Math.max(0, Math.min(page, pages.length - 1));
+
+  const components = PAGE_COMPONENTS[provider]
+    ? PAGE_COMPONENTS[provider](page, ...args)
+    : [];
+  if (pages.length < 2) {
+    return { embeds: [pages[0]], components: components };
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(createCustomId(name, [provider, page - 1, ...args]))
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page == 0),
+    new ButtonBuilder()
+      .setCustomId(createCustomId(name, [provider, page + 1, ...args]))
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page == pages.length - 1)
+  );
+
+  return { embeds: [pages[page]], components: [...components, row] };
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
@@ -0,0 +1,94 @@
+/**
+ * A module for displaying random cards with a button to reroll them.
+ *
+ * @file   This files defines the Interactions/random module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  embedLength,
+} from "discord.js";
+import { createCustomId } from "./component.js";
+import {
+  getAllCards,
+  getDefaultPrint,
+  getRandomCards,
+} from "../WitchesRevel/api.js";
+import {
+  createCardEmbed,
+  createCardImageEmbed,
+  createCardListEmbeds,
+} from "../WitchesRevel/embed.js";
+import { searchCards } from "../WitchesRevel/search.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "random";
+
+const MESSAGE_EMBED_LENGTH = 6000; // Max total length Discord allows for a message's embeds
+
+/**
+ * Creates the contents of a message displaying random cards, with a button to
+ * pick new ones.
+ *
+ * @param {string} query A search query the cards must match (empty to pick from every card).
+ * @param {int} count The number of cards to pick.
+ * @param {string} mode How to display the cards ("text" or "art").
+ * @return {?Object} The message options (embeds and components) to send, or null if no cards match the query.
+ * @throws {SearchSyntaxError} If the query is malformed.
+ */
+export function createRandomMessage(query, count, mode) {
+  const pool = query ? searchCards(query) : getAllCards();
+  if (pool.length == 0) {
+    return null;
+  }
+
+  const cards = getRandomCards(count, pool);
+  let embeds = cards.map((card) =>
+    mode == "art"
+      ? createCardImageEmbed(card, getDefaultPrint(card), "frontFace")
+      : createCardEmbed(card, getDefaultPrint(card), "frontFace")
+  );
+
+  // Too much text to send in one message, so list the cards instead
+  const length = embeds.reduce(
+    (sum, embed) => sum + embedLength(embed.data),
+    0
+  );
+  if (length > MESSAGE_EMBED_LENGTH) {
+    embeds = createCardListEmbeds("Random cards", cards).slice(0, 1);
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(createCustomId(name, [query, count, mode]))
+      .setLabel("Reroll")
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: embeds, components: [row] };
+}
+
+/**
+ * Replaces the random cards with new ones.
+ *
+ * @param {Object} interaction The interaction sent by a reroll button.
+ * @param {string[]} state The search query, the number of cards, and the display mode.
+ */
+async function execute(interaction, state) {
+  const [query, count, mode] = state;
+  const message = createRandomMessage(query, +count, mode);
+  if (!message) {
+    throw new Error(`No cards match the random card query "${query}".`);
+  }
+  await interaction.update(message);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
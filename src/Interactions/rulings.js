@@ -0,0 +1,53 @@
+/**
+ * A module for the button that displays a card's rulings.
+ *
+ * @file   This files defines the Interactions/rulings module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { ButtonBuilder, ButtonStyle } from "discord.js";
+import { createCustomId } from "./component.js";
+import { getCard } from "../WitchesRevel/api.js";
+import { createRulingsEmbed } from "../WitchesRevel/embed.js";
+import { getRulings } from "../WitchesRevel/rulings.js";
+import { readId } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "rulings";
+
+/**
+ * @param {Object} card A card.
+ * @return {?ButtonBuilder} A button that displays the card's rulings, or null if it has none.
+ */
+export function createRulingsButton(card) {
+  const count = getRulings(card).length;
+  if (count == 0) {
+    return null;
+  }
+  return new ButtonBuilder()
+    .setCustomId(createCustomId(name, [readId(card.fullNames.frontFace)]))
+    .setLabel(`Rulings (${count})`)
+    .setStyle(ButtonStyle.Secondary);
+}
+
+/**
+ * Displays a card's rulings to the user who pressed the button.
+ *
+ * @param {Object} interaction The interaction sent by a rulings button.
+ * @param {string[]} state The card's ID.
+ */
+async function execute(interaction, state) {
+  const [cardId] = state;
+  const card = getCard(cardId);
+  await interaction.reply({
+    embeds: [createRulingsEmbed(card, getRulings(card))],
+    ephemeral: true,
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
@@ -0,0 +1,63 @@
+/**
+ * A module for menus that display one card from a list.
+ *
+ * @file   This files defines the Interactions/select module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { ActionRowBuilder, StringSelectMenuBuilder } from "discord.js";
+import { createCustomId } from "./component.js";
+import { createCardMessage } from "./flip.js";
+import { getCard, getPrints } from "../WitchesRevel/api.js";
+import { getGuildSetting } from "../Permissions/guildConfig.js";
+import { readId, truncate } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "select";
+
+/**
+ * Creates a menu for choosing one card from a list. The chosen card is shown
+ * only to the user who chose it.
+ *
+ * @param {{card: Object, print: Print}[]} prints The cards to choose from (at most 25), each with the printing to display.
+ * @return {ActionRowBuilder} An action row containing the menu.
+ */
+export function createCardSelectRow(prints) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(createCustomId(name))
+    .setPlaceholder("View a card")
+    .addOptions(
+      prints.map(({ card, print }) => ({
+        label: truncate(`#${print.id} ${card.fullNames.frontFace}`, 100, "…"),
+        value: `${readId(card.fullNames.frontFace)}|${print.index}`,
+      }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+/**
+ * Displays the chosen card, in the server's embed style.
+ *
+ * @param {Object} interaction The interaction sent by a card menu.
+ */
+async function execute(interaction) {
+  const [cardId, printIndex] = interaction.values[0].split("|");
+  const card = getCard(cardId);
+  const print =
+    getPrints(card).find((print) => print.index == printIndex) ??
+    getPrints(card)[0];
+  const style = getGuildSetting(interaction.guildId, "embed_style");
+  const modes = style == "both" ? ["text", "art"] : [style];
+
+  await interaction.reply({
+    ...createCardMessage(card, print, "frontFace", modes),
+    ephemeral: true,
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
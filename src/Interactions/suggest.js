@@ -0,0 +1,109 @@
+/**
+ * A module for asking users which card they meant when a card name matches
+ * several cards, or does not clearly match any.
+ *
+ * @file   This files defines the Interactions/suggest module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} from "discord.js";
+import { createCustomId } from "./component.js";
+import { createCardMessage } from "./flip.js";
+import { findPrint, getCard, getDefaultPrint } from "../WitchesRevel/api.js";
+import { readId, truncate } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const name = "suggest";
+
+const DEFAULT_THRESHOLD = 0.5; // Min confidence to display a card if MATCH_CONFIDENCE_THRESHOLD is not set
+
+/**
+ * @param {CardMatch} match A match returned by matchCard.
+ * @return {bool} Whether the match is too uncertain to display, so the user should be asked which card they meant.
+ */
+export function needsSuggestions(match) {
+  const threshold = process.env.MATCH_CONFIDENCE_THRESHOLD
+    ? +process.env.MATCH_CONFIDENCE_THRESHOLD
+    : DEFAULT_THRESHOLD;
+  return match.confidence < threshold && match.candidates.length > 1;
+}
+
+/**
+ * Creates the contents of a message asking which card the user meant, with a
+ * button for each candidate. Pressing a button replaces the message with the
+ * card if the user who asked for it pressed it, or shows the card only to
+ * whoever pressed it otherwise.
+ *
+ * @param {string} query The card name the user entered.
+ * @param {{card: Object, face: string}[]} candidates The cards the user may have meant (at most 5), best first.
+ * @param {?string} printQuery The printing the user asked for, if any.
+ * @param {?string} face The face the user asked for ("frontFace" or "backFace"), or null to display the face whose title was matched.
+ * @param {string[]} modes How to display the card: an array containing "text" and/or "art".
+ * @param {string} userId The ID of the user who asked for the card.
+ * @return {Object} The message options (embeds and components) to send.
+ */
+export function createSuggestionMessage(
+  query,
+  candidates,
+  printQuery,
+  face,
+  modes,
+  userId
+) {
+  const embed = new EmbedBuilder()
+    .setTitle("Did you mean…?")
+    .setDescription(
+      `Which card did you mean by \`${truncate(query, 100, "…")}\`?`
+    )
+    .setColor(+process.env.COLOR_INFO);
+
+  const buttons = candidates.map((candidate) =>
+    new ButtonBuilder()
+      .setCustomId(
+        createCustomId(name, [
+          readId(candidate.card.fullNames.frontFace),
+          printQuery ?? "",
+          face ?? candidate.face,
+          modes.join(","),
+          userId,
+        ])
+      )
+      .setLabel(truncate(candidate.card.fullNames[candidate.face], 80, "…"))
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const row = new ActionRowBuilder().addComponents(buttons);
+  return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Displays the card that was chosen.
+ *
+ * @param {Object} interaction The interaction sent by a suggestion button.
+ * @param {string[]} state The card's ID, the printing asked for (empty for the default), the face to display, the display modes, and the ID of the user who asked for the card.
+ */
+async function execute(interaction, state) {
+  const [cardId, printQuery, face, modes, userId] = state;
+  const card = getCard(cardId);
+  const print =
+    (printQuery && findPrint(card, printQuery)) || getDefaultPrint(card);
+  const message = createCardMessage(card, print, face, modes.split(","));
+
+  if (interaction.user.id == userId) {
+    await interaction.update(message);
+  } else {
+    await interaction.reply({ ...message, ephemeral: true });
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+export default { name, execute };
@@ -0,0 +1,250 @@
+/**
+ * A module for handling the loading, updating, and saving of per-server
+ * settings. Servers that have not changed a setting use its default value,
+ * which is generally taken from the .env file.
+ *
+ * @file   This files defines the Permissions/guildConfig module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let CONFIG; // Persistent data
+
+/**
+ * The inline command syntaxes that can be enabled or disabled, mapped to a
+ * short description of each.
+ */
+const INLINE_SYNTAXES = {
+  card: "[[card]]",
+  art: "{{card}}",
+  search: "[[? query]]",
+  rulings: "((card))",
+  glossary: "<<keyword>>",
+  deck: "decklist code blocks",
+};
+
+/**
+ * @typedef Setting
+ * @type {Object}
+ * @property {string} key - The key the setting is saved under.
+ * @property {string} description - A description of the setting and its valid values.
+ * @property {function(): *} getDefault - Gets the value used when a server has not changed the setting.
+ * @property {function(string): *} parse - Converts user input into a value, returning null if the input is invalid.
+ * @property {function(*): string} format - Converts a value into a human-readable string.
+ */
+
+/**
+ * Every setting that can be configured per server, by name.
+ * @type {Object.<string, Setting>}
+ */
+const SETTINGS = {
+  result_limit: {
+    key: "resultLimit",
+    description: "The max number of inline command results per message (1-10).",
+    getDefault: () => +process.env.RESULT_LIMIT,
+    parse: (input) => {
+      const value = +input;
+      return Number.isInteger(value) && value >= 1 && value <= 10
+        ? value
+        : null;
+    },
+    format: (value) => String(value),
+  },
+  inline_syntaxes: {
+    key: "inlineSyntaxes",
+    description: `The inline command syntaxes that are enabled, separated by commas (any of: ${Object.keys(
+      INLINE_SYNTAXES
+    ).join(", ")}, or "none").`,
+    getDefault: () => Object.keys(INLINE_SYNTAXES),
+    parse: (input) => {
+      const values = normalise(input)
+        .split(/[\s,]+/)
+        .filter((value) => value);
+      if (values.length == 1 && values[0] == "none") {
+        return [];
+      }
+      return values.length > 0 &&
+        values.every((value) => INLINE_SYNTAXES[value])
+        ? [...new Set(values)]
+        : null;
+    },
+    format: (value) =>
+      value.length > 0
+        ? value
+            .map((syntax) => `${syntax} (${INLINE_SYNTAXES[syntax]})`)
+            .join(", ")
+        : "none",
+  },
+  embed_style: {
+    key: "embedStyle",
+    description:
+      'How /card displays cards when no mode is chosen ("text", "art", or "both").',
+    getDefault: () => "text",
+    parse: (input) => {
+      const value = normalise(input);
+      return ["text", "art", "both"].includes(value) ? value : null;
+    },
+    format: (value) => value,
+  },
+  ignored_channels: {
+    key: "ignoredChannels",
+    description:
+      'The channels I ignore, as channel mentions or IDs separated by commas (or "none").',
+    getDefault: () => [],
+    parse: (input) => {
+      if (normalise(input) == "none") {
+        return [];
+      }
+      const values = input.split(/[\s,]+/).filter((value) => value);
+      const ids = values.map((value) => value.match(/^(?:<#)?(\d+)>?$/));
+      return ids.length > 0 && ids.every((id) => id)
+        ? [...new Set(ids.map((id) => id[1]))]
+        : null;
+    },
+    format: (value) =>
+      value.length > 0 ? value.map((id) => `<#${id}>`).join(", ") : "none",
+  },
+};
+
+/**
+ * Loads the server settings from resources into the cache.
+ */
+export function loadGuildConfig() {
+  if (fs.existsSync("./resources/guildConfig.yml")) {
+    const file = fs.readFileSync("./resources/guildConfig.yml", "utf8");
+    CONFIG = YAML.parse(file);
+  }
+  if (!CONFIG) {
+    CONFIG = {};
+  }
+  if (!CONFIG.guilds) {
+    CONFIG.guilds = {};
+  }
+}
+
+/**
+ * Saves the current version of the cached server settings to resources.
+ */
+export function saveGuildConfig() {
+  const yaml = CONFIG ? YAML.stringify(CONFIG) : "";
+  fs.writeFileSync("./resources/guildConfig.yml", yaml, {
+    encoding: "utf8",
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Changes a setting for a server.
+ *
+ * @param {string} guildId The ID of the server.
+ * @param {string} name The name of the setting.
+ * @param {string} input The new value of the setting, as entered by a user.
+ * @return {bool} Was the change successful (if not, the input was invalid).
+ */
+export function setGuildSetting(guildId, name, input) {
+  const setting = SETTINGS[name];
+  const value = setting ? setting.parse(input) : null;
+  if (value == null) {
+    return false;
+  }
+
+  if (!CONFIG.guilds[guildId]) {
+    CONFIG.guilds[guildId] = {};
+  }
+  CONFIG.guilds[guildId][setting.key] = value;
+  return true;
+}
+
+/**
+ * Resets a setting for a server to its default value.
+ *
+ * @param {string} guildId The ID of the server.
+ * @param {?string} name The name of the setting. If unset, all settings are reset.
+ */
+export function resetGuildSetting(guildId, name) {
+  if (!CONFIG.guilds[guildId]) {
+    return;
+  }
+
+  if (name) {
+    delete CONFIG.guilds[guildId][SETTINGS[name].key];
+  }
+  if (!name || Object.keys(CONFIG.guilds[guildId]).length == 0) {
+    delete CONFIG.guilds[guildId];
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {?string} guildId The ID of a server, or null for DMs.
+ * @param {string} name The name of a setting.
+ * @return {*} The value of that setting for the server (or the default, if it has not been changed).
+ */
+export function getGuildSetting(guildId, name) {
+  const setting = SETTINGS[name];
+  const guild = guildId ? CONFIG.guilds[guildId] : null;
+  return guild && guild[setting.key] != null
+    ? guild[setting.key]
+    : setting.getDefault();
+}
+
+/**
+ * @param {?string} guildId The ID of a server, or null for DMs.
+ * @param {string} name The name of a setting.
+ * @return {string} The value of that setting for the server, in a human-readable form.
+ */
+export function formatGuildSetting(guildId, name) {
+  return SETTINGS[name].format(getGuildSetting(guildId, name));
+}
+
+/**
+ * @param {?string} guildId The ID of a server, or null for DMs.
+ * @param {string} name The name of a setting.
+ * @return {bool} Whether the server has changed the setting from its default.
+ */
+export function isGuildSettingSet(guildId, name) {
+  const guild = guildId ? CONFIG.guilds[guildId] : null;
+  return guild != null && guild[SETTINGS[name].key] != null;
+}
+
+/**
+ * @param {?string} guildId The ID of a server, or null for DMs.
+ * @param {string} channelId The ID of a channel.
+ * @return {bool} Whether the server has configured the bot to ignore that channel.
+ */
+export function isChannelIgnored(guildId, channelId) {
+  return getGuildSetting(guildId, "ignored_channels").includes(channelId);
+}
+
+/**
+ * @param {?string} guildId The ID of a server, or null for DMs.
+ * @param {string} syntax The name of an inline command syntax (see INLINE_SYNTAXES).
+ * @return {bool} Whether that syntax is enabled for the server.
+ */
+export function isInlineSyntaxEnabled(guildId, syntax) {
+  return getGuildSetting(guildId, "inline_syntaxes").includes(syntax);
+}
+
+/**
+ * @return {string[]} The names of all configurable settings.
+ */
+export function getSettingNames() {
+  return Object.keys(SETTINGS);
+}
+
+/**
+ * @param {string} name The name of a setting.
+ * @return {string} A description of the setting and its valid values.
+ */
+export function describeSetting(name) {
+  return SETTINGS[name].description;
+}
@@ -0,0 +1,244 @@
+/**
+ * A module for deciding which users can use which commands.
+ *
+ * Every user has a permission level, and each level includes the permissions
+ * of the levels below it:
+ * - owner: the users listed in SUPER_USERS in the .env file
+ * - botModerator: users added by an owner with /permissions
+ * - guildAdmin: users with the Manage Server permission in the current server, or a role the server has granted admin permissions to
+ * - everyone: all other users
+ *
+ * Commands declare the level they require with `meta.permission`.
+ *
+ * @file   This files defines the Permissions/permissions module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { EmbedBuilder, PermissionFlagsBits } from "discord.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let PERMISSIONS; // Persistent data
+
+/**
+ * The permission levels, from lowest to highest, mapped to a human-readable
+ * name for each.
+ */
+export const PERMISSION_LEVELS = {
+  everyone: "everyone",
+  guildAdmin: "server admin",
+  botModerator: "bot moderator",
+  owner: "bot owner",
+};
+
+/**
+ * Loads the bot moderators and role grants from resources into the cache.
+ */
+export function loadPermissions() {
+  if (fs.existsSync("./resources/permissions.yml")) {
+    const file = fs.readFileSync("./resources/permissions.yml", "utf8");
+    PERMISSIONS = YAML.parse(file);
+  }
+  if (!PERMISSIONS) {
+    PERMISSIONS = {};
+  }
+  if (!PERMISSIONS.moderators) {
+    PERMISSIONS.moderators = [];
+  }
+  if (!PERMISSIONS.guilds) {
+    PERMISSIONS.guilds = {};
+  }
+}
+
+/**
+ * Saves the current version of the cached permissions to resources.
+ */
+export function savePermissions() {
+  const yaml = PERMISSIONS ? YAML.stringify(PERMISSIONS) : "";
+  fs.writeFileSync("./resources/permissions.yml", yaml, {
+    encoding: "utf8",
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Makes a user a bot moderator.
+ *
+ * @param {string} userId The ID of the user.
+ * @return {bool} Was the addition successful (if not, that user was already a moderator).
+ */
+export function addModerator(userId) {
+  if (PERMISSIONS.moderators.includes(userId)) {
+    return false;
+  }
+  PERMISSIONS.moderators.push(userId);
+  return true;
+}
+
+/**
+ * Stops a user being a bot moderator.
+ *
+ * @param {string} userId The ID of the user.
+ * @return {bool} Was the removal successful (if not, that user was not a moderator).
+ */
+export function removeModerator(userId) {
+  if (!PERMISSIONS.moderators.includes(userId)) {
+    return false;
+  }
+  PERMISSIONS.moderators = PERMISSIONS.moderators.filter((id) => id != userId);
+  return true;
+}
+
+/**
+ * Grants server admin permissions to every member of a role.
+ *
+ * @param {string} guildId The ID of the server the role belongs to.
+ * @param {string} roleId The ID of the role.
+ * @return {bool} Was the grant successful (if not, the role already had admin permissions).
+ */
+export function grantAdminRole(guildId, roleId) {
+  if (!PERMISSIONS.guilds[guildId]) {
+    PERMISSIONS.guilds[guildId] = { adminRoles: [] };
+  }
+  const roles = PERMISSIONS.guilds[guildId].adminRoles;
+  if (roles.includes(roleId)) {
+    return false;
+  }
+  roles.push(roleId);
+  return true;
+}
+
+/**
+ * Revokes server admin permissions from a role.
+ *
+ * @param {string} guildId The ID of the server the role belongs to.
+ * @param {string} roleId The ID of the role.
+ * @return {bool} Was the revocation successful (if not, the role did not have admin permissions).
+ */
+export function revokeAdminRole(guildId, roleId) {
+  const roles = getAdminRoleIds(guildId);
+  if (!roles.includes(roleId)) {
+    return false;
+  }
+  PERMISSIONS.guilds[guildId].adminRoles = roles.filter((id) => id != roleId);
+
+  // Do not keep empty entries for servers
+  if (PERMISSIONS.guilds[guildId].adminRoles.length == 0) {
+    delete PERMISSIONS.guilds[guildId];
+  }
+  return true;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Finds the permission level of the user who sent an interaction. Roles and
+ * server permissions only apply in the server the interaction was sent in.
+ *
+ * @param {Object} interaction A Discord interaction.
+ * @return {string} The user's permission level.
+ */
+export function getPermissionLevel(interaction) {
+  const userId = interaction.user.id;
+  if (isOwner(userId)) {
+    return "owner";
+  }
+  if (PERMISSIONS.moderators.includes(userId)) {
+    return "botModerator";
+  }
+  if (interaction.guildId) {
+    const adminRoles = getAdminRoleIds(interaction.guildId);
+    if (
+      interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) ||
+      getMemberRoleIds(interaction.member).some((id) => adminRoles.includes(id))
+    ) {
+      return "guildAdmin";
+    }
+  }
+  return "everyone";
+}
+
+/**
+ * @param {Object} interaction A Discord interaction.
+ * @param {string} level A permission level.
+ * @return {bool} If the user who sent the interaction has at least that permission level.
+ */
+export function hasPermission(interaction, level) {
+  const levels = Object.keys(PERMISSION_LEVELS);
+  return (
+    levels.indexOf(getPermissionLevel(interaction)) >= levels.indexOf(level)
+  );
+}
+
+/**
+ * @param {string} userId A user ID.
+ * @return {bool} If the user is one of the bot's owners.
+ */
+export function isOwner(userId) {
+  return getOwnerIds().includes(userId);
+}
+
+/**
+ * The bot's owners are read from SUPER_USERS (a comma separated list of user
+ * IDs). SUPER_USER is also read, for .env files written before multiple owners
+ * were supported.
+ *
+ * @return {string[]} The IDs of the bot's owners.
+ */
+export function getOwnerIds() {
+  return `${process.env.SUPER_USERS ?? ""},${process.env.SUPER_USER ?? ""}`
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id);
+}
+
+/**
+ * @return {string[]} The IDs of the bot's moderators.
+ */
+export function getModeratorIds() {
+  return PERMISSIONS.moderators;
+}
+
+/**
+ * @param {string} guildId A server ID.
+ * @return {string[]} The IDs of the roles that have been granted admin permissions in that server.
+ */
+export function getAdminRoleIds(guildId) {
+  return PERMISSIONS.guilds[guildId]?.adminRoles ?? [];
+}
+
+/**
+ * @param {string} level A permission level.
+ * @return {EmbedBuilder} An error embed telling the user they need that permission level.
+ */
+export function createPermissionDeniedEmbed(level) {
+  return new EmbedBuilder()
+    .setTitle("Invalid permissions!")
+    .setDescription(
+      level == "guildAdmin"
+        ? "You need the Manage Server permission (or a role this server has granted admin permissions) to do this."
+        : `Only a ${PERMISSION_LEVELS[level]} can do this.`
+    )
+    .setColor(+process.env.COLOR_ERROR);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {?Object} member A server member, either cached or as sent by the API.
+ * @return {string[]} The IDs of the member's roles.
+ */
+function getMemberRoleIds(member) {
+  if (!member) {
+    return [];
+  }
+  return Array.isArray(member.roles)
+    ? member.roles
+    : [...member.roles.cache.keys()];
+}
@@ -0,0 +1,215 @@
+/**
+ * A module for stopping users from making the bot spam a channel.
+ *
+ * Each user, channel and server has a budget of lookups (a token bucket) that
+ * refills over time, set in the .env file as "count/seconds", e.g.
+ * RATE_LIMIT_USER=10/60 lets each user make a burst of up to 10 lookups, and
+ * one more every 6 seconds after that. A lookup is only allowed if every
+ * budget it draws from can afford it. Guesses in guess the card games have a
+ * separate budget for each user, so chatting in a game channel does not use
+ * up the budgets for lookups. The bot's owners are never limited.
+ *
+ * @file   This files defines the Permissions/rateLimit module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { EmbedBuilder } from "discord.js";
+import { isOwner } from "./permissions.js";
+import { createCounter } from "../Utility/metrics.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const BUCKETS = new Map(); // Persistent data (token buckets by scope and ID)
+let lastCleanup = Date.now();
+
+const CLEANUP_INTERVAL = 10 * 60 * 1000; // Min milliseconds between forgetting full buckets
+
+const RATE_LIMITED = createCounter(
+  "witchesrevel_rate_limited_total",
+  "Lookups and interactions refused for using the bot too quickly, by the budget that ran out."
+);
+
+/**
+ * The scopes budgets are kept for, mapped to the rate used if the scope's .env
+ * variable is not set, and what to tell users when the budget runs out.
+ */
+const SCOPES = {
+  user: { defaultRate: "10/60", notice: "You're using me too quickly." },
+  channel: {
+    defaultRate: "30/60",
+    notice: "I'm being used too quickly in this channel.",
+  },
+  guild: {
+    defaultRate: "100/60",
+    notice: "I'm being used too quickly in this server.",
+  },
+  guess: { defaultRate: "20/60", notice: "You're guessing too quickly." },
+};
+
+/**
+ * @typedef RateLimit
+ * @type {Object}
+ * @property {string} scope - The budget that ran out ("user", "channel", "guild" or "guess").
+ * @property {int} retryAfter - The number of seconds until the budget can afford the lookup.
+ * @property {bool} notify - Whether this is the first lookup refused since the budget ran out, so the user should be told.
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Spends the budgets of a user, and the channel and server they are in, on a
+ * lookup. If any budget cannot afford it, none are spent.
+ *
+ * @param {string} userId The ID of the user making the lookup.
+ * @param {string} channelId The ID of the channel the lookup was made in.
+ * @param {?string} guildId The ID of the server the lookup was made in, if any.
+ * @param {int} cost The number of lookups to spend (e.g. the number of cards requested).
+ * @return {?RateLimit} The budget that ran out, or null if the lookup is allowed.
+ */
+export function checkRateLimit(userId, channelId, guildId, cost = 1) {
+  return spendBudgets(
+    userId,
+    [
+      ["user", userId],
+      ["channel", channelId],
+      ["guild", guildId],
+    ],
+    cost
+  );
+}
+
+/**
+ * Spends a user's budget of guesses on a guess in a guess the card game.
+ *
+ * @param {string} userId The ID of the user guessing.
+ * @return {?RateLimit} The budget that ran out, or null if the guess is allowed.
+ */
+export function checkGuessRateLimit(userId) {
+  return spendBudgets(userId, [["guess", userId]], 1);
+}
+
+/**
+ * @param {RateLimit} limit The budget that ran out.
+ * @return {EmbedBuilder} An error embed telling the user to slow down.
+ */
+export function createRateLimitEmbed(limit) {
+  return new EmbedBuilder()
+    .setTitle("Slow down!")
+    .setDescription(
+      `${SCOPES[limit.scope].notice} Try again in ${limit.retryAfter} second${
+        limit.retryAfter == 1 ? "" : "s"
+      }.`
+    )
+    .setColor(+process.env.COLOR_ERROR);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * Spends a user's budgets on a lookup. If any budget cannot afford it, none
+ * are spent.
+ *
+ * @param {string} userId The ID of the user making the lookup.
+ * @param {[string, ?string][]} scopes The scope of each budget to spend, and the ID of the user, channel or server it belongs to (budgets without an ID are skipped).
+ * @param {int} cost The number of lookups to spend.
+ * @return {?RateLimit} The budget that ran out, or null if the lookup is allowed.
+ */
+function spendBudgets(userId, scopes, cost) {
+  if (isOwner(userId)) {
+    return null;
+  }
+  removeFullBuckets();
+
+  const now = Date.now();
+  const budgets = scopes
+    .map(([scope, id]) => ({ scope: scope, id: id, rate: readRate(scope) }))
+    .filter(({ id, rate }) => id && rate)
+    .map((budget) => ({
+      ...budget,
+      bucket: refillBucket(budget.scope, budget.id, budget.rate, now),
+      cost: Math.min(cost, budget.rate.capacity),
+    }));
+
+  const empty = budgets.find(({ bucket, cost }) => bucket.tokens < cost);
+  if (empty) {
+    const notify = !empty.bucket.notified;
+    empty.bucket.notified = true;
+    RATE_LIMITED.increment({ scope: empty.scope });
+    return {
+      scope: empty.scope,
+      retryAfter: Math.ceil(
+        (empty.cost - empty.bucket.tokens) / empty.rate.perSecond
+      ),
+      notify: notify,
+    };
+  }
+
+  budgets.forEach(({ bucket, cost }) => {
+    bucket.tokens -= cost;
+    bucket.notified = false;
+  });
+  return null;
+}
+
+/**
+ * @param {string} scope A scope ("user", "channel", "guild" or "guess").
+ * @return {?{capacity: int, perSecond: number}} The scope's budget and how quickly it refills, or null if the scope is not limited.
+ */
+function readRate(scope) {
+  const value =
+    process.env[`RATE_LIMIT_${scope.toUpperCase()}`] ??
+    SCOPES[scope].defaultRate;
+  const [count, seconds] = value.split("/").map(Number);
+  return count > 0 && seconds > 0
+    ? { capacity: count, perSecond: count / seconds }
+    : null;
+}
+
+/**
+ * Refills a bucket for the time since it was last used, creating it (full) if
+ * it does not exist.
+ *
+ * @param {string} scope The bucket's scope.
+ * @param {string} id The ID of the user, channel or server the bucket belongs to.
+ * @param {{capacity: int, perSecond: number}} rate The scope's budget and how quickly it refills.
+ * @param {int} now The current time, in milliseconds.
+ * @return {{tokens: number, updated: int, notified: bool}} The bucket.
+ */
+function refillBucket(scope, id, rate, now) {
+  const key = `${scope}:${id}`;
+  const bucket = BUCKETS.get(key) ?? {
+    tokens: rate.capacity,
+    updated: now,
+    notified: false,
+  };
+  bucket.tokens = Math.min(
+    rate.capacity,
+    bucket.tokens + ((now - bucket.updated) / 1000) * rate.perSecond
+  );
+  bucket.updated = now;
+  BUCKETS.set(key, bucket);
+  return bucket;
+}
+
+/**
+ * Forgets buckets that have refilled completely, at most once per
+ * CLEANUP_INTERVAL. These would be recreated full anyway.
+ */
+function removeFullBuckets() {
+  const now = Date.now();
+  if (now - lastCleanup < CLEANUP_INTERVAL) {
+    return;
+  }
+  lastCleanup = now;
+
+  BUCKETS.forEach((bucket, key) => {
+    const rate = readRate(key.split(":")[0]);
+    const elapsed = (now - bucket.updated) / 1000;
+    if (!rate || bucket.tokens + elapsed * rate.perSecond >= rate.capacity) {
+      BUCKETS.delete(key);
+    }
+  });
+}
@@ -15,11 +15,25 @@ import {
   Partials,
 } from "discord.js";
 import { init as initCommands } from "./commands.js";
+import { init as initComponents } from "./components.js";
 import { init as initHandler } from "./handler.js";
 import { init as initEvents } from "./events.js";
-import { init as initWR } from "../WitchesRevel/api.js";
+import { init as initWR, reloadData } from "../WitchesRevel/api.js";
+import { loadDeckRules } from "../WitchesRevel/deckRules.js";
+import {
+  loadCardOfTheDay,
+  postCardsOfTheDay,
+} from "../WitchesRevel/cardOfTheDay.js";
+import { loadGlossary } from "../WitchesRevel/glossary.js";
+import { loadGuessScores } from "../WitchesRevel/guess.js";
+import { loadRulings } from "../WitchesRevel/rulings.js";
 import { loadWhitelist } from "../Permissions/serverWhitelist.js";
+import { loadGuildConfig } from "../Permissions/guildConfig.js";
+import { loadPermissions } from "../Permissions/permissions.js";
 import { readBool } from "../Utility/env.js";
+import { logError } from "../Utility/error.js";
+import { logInfo } from "../Utility/log.js";
+import { startMetricsServer } from "../Utility/metrics.js";
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -39,6 +53,7 @@ const client = new Client({
 });
 
 client.commands = new Collection();
+client.components = new Collection();
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -46,22 +61,87 @@ export async function start(config) {
   client.config = config;
 
   // Initialise card data so it can be accessed by commands on initialisation
-  console.log("initialising witches revel api...");
+  logInfo("initialising witches revel api");
   await initWR();
 
+  // Schedule automatic reloads of card data
+  const reloadInterval = +process.env.DATA_RELOAD_INTERVAL;
+  if (reloadInterval > 0) {
+    logInfo("card data will reload on a schedule", {
+      intervalMinutes: reloadInterval,
+    });
+    setInterval(() => {
+      reloadData()
+        .then((changes) =>
+          logInfo("card data reloaded", {
+            added: changes.added.length,
+            removed: changes.removed.length,
+            changed: changes.changed.length,
+          })
+        )
+        .catch(logError);
+    }, reloadInterval * 60 * 1000);
+  }
+
   // Set up whitelist
   if (readBool("WHITELIST_SERVERS")) {
-    console.log("server whitelist is enabled; loading saved data...");
+    logInfo("server whitelist is enabled; loading saved data");
     loadWhitelist();
   }
 
+  // Load bot moderators and role grants
+  logInfo("loading permissions");
+  loadPermissions();
+
+  // Load deck construction rules
+  logInfo("loading deck rules");
+  loadDeckRules();
+
+  // Load card of the day schedules
+  logInfo("loading card of the day schedules");
+  loadCardOfTheDay();
+
+  // Load card rulings
+  logInfo("loading rulings");
+  loadRulings();
+
+  // Load glossary
+  logInfo("loading glossary");
+  loadGlossary();
+
+  // Load guess the card scores
+  logInfo("loading guess the card scores");
+  loadGuessScores();
+
+  // Load server settings
+  logInfo("loading server settings");
+  loadGuildConfig();
+
   // Initialise bot features
-  console.log("loading commands...");
+  logInfo("loading commands");
   await initCommands(client);
-  console.log("loading handler...");
+  logInfo("loading components");
+  await initComponents(client);
+  logInfo("loading handler");
   await initHandler(client);
-  console.log("loading events...");
+  logInfo("loading events");
   await initEvents(client);
 
+  // Serve metrics for collection, if enabled
+  // The bot still runs if they cannot be served (e.g. the port is in use)
+  const metricsPort = +process.env.METRICS_PORT;
+  try {
+    if (await startMetricsServer()) {
+      logInfo("serving metrics", { port: metricsPort });
+    }
+  } catch (err) {
+    logError(err, { port: metricsPort });
+  }
+
   await client.login(process.env.TOKEN);
+
+  // Check every minute whether any server is due its card of the day
+  setInterval(() => {
+    postCardsOfTheDay(client).catch(logError);
+  }, 60 * 1000);
 }
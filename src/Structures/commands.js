@@ -7,11 +7,29 @@
 
 ///////////////////////////////////////////////////////////////////////////////
 
+import Card from "./../Commands/card.js";
+import CardOfTheDay from "./../Commands/cardOfTheDay.js";
+import Config from "./../Commands/config.js";
+import Deck from "./../Commands/deck.js";
+import Expansion from "./../Commands/expansion.js";
+import Glossary from "./../Commands/glossary.js";
+import Guess from "./../Commands/guess.js";
 import Help from "./../Commands/help.js";
+import Leaderboard from "./../Commands/leaderboard.js";
+import Permissions from "./../Commands/permissions.js";
+import Random from "./../Commands/random.js";
+import Rulings from "./../Commands/rulings.js";
+import Search from "./../Commands/search.js";
+import TextSearch from "./../Commands/textSearch.js";
+import ValidateDeck from "./../Commands/validateDeck.js";
 
 import AliasAdd from "./../Commands/Superuser/aliasAdd.js";
 import AliasRemove from "./../Commands/Superuser/aliasRemove.js";
 import AliasView from "../Commands/Superuser/aliasView.js";
+import ReloadData from "../Commands/Superuser/reloadData.js";
+import RulingAdd from "../Commands/Superuser/rulingAdd.js";
+import RulingEdit from "../Commands/Superuser/rulingEdit.js";
+import RulingRemove from "../Commands/Superuser/rulingRemove.js";
 import WhitelistAddServer from "../Commands/Superuser/whitelistServerAdd.js";
 import WhitelistRemoveServer from "../Commands/Superuser/whitelistServerRemove.js";
 import WhitelistViewServers from "../Commands/Superuser/whitelistServerView.js";
@@ -20,11 +38,29 @@ import WhitelistViewServers from "../Commands/Superuser/whitelistServerView.js";
 
 export async function init(client) {
   const commands = [
+    Card,
+    CardOfTheDay,
+    Config,
+    Deck,
+    Expansion,
+    Glossary,
+    Guess,
     Help,
+    Leaderboard,
+    Permissions,
+    Random,
+    Rulings,
+    Search,
+    TextSearch,
+    ValidateDeck,
 
     AliasAdd,
     AliasRemove,
     AliasView,
+    ReloadData,
+    RulingAdd,
+    RulingEdit,
+    RulingRemove,
     WhitelistAddServer,
     WhitelistRemoveServer,
     WhitelistViewServers,
@@ -0,0 +1,36 @@
+/**
+ * The components module. This loads all the component handlers at startup.
+ *
+ * @file   This files defines the components module for the bot.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import Deck from "./../Interactions/deck.js";
+import Flip from "./../Interactions/flip.js";
+import Guess from "./../Interactions/guess.js";
+import Pagination from "./../Interactions/pagination.js";
+import Random from "./../Interactions/random.js";
+import Rulings from "./../Interactions/rulings.js";
+import Select from "./../Interactions/select.js";
+import Suggest from "./../Interactions/suggest.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+export async function init(client) {
+  const components = [
+    Deck,
+    Flip,
+    Guess,
+    Pagination,
+    Random,
+    Rulings,
+    Select,
+    Suggest,
+  ];
+
+  components.forEach((component) => {
+    client.components.set(component.name, component);
+  });
+}
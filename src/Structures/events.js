@@ -9,6 +9,8 @@
 
 import interactionCreate from "./../Events/interactionCreate.js";
 import messageCreate from "./../Events/messageCreate.js";
+import messageDelete from "./../Events/messageDelete.js";
+import messageUpdate from "./../Events/messageUpdate.js";
 import ready from "./../Events/ready.js";
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -20,6 +22,15 @@ export async function init(client) {
   client.on("messageCreate", async (...args) => {
     messageCreate(...args);
   });
+  client.on("messageUpdate", async (...args) => {
+    messageUpdate(...args);
+  });
+  client.on("messageDelete", async (...args) => {
+    messageDelete(...args);
+  });
+  client.on("messageDeleteBulk", async (messages) => {
+    messages.forEach((message) => messageDelete(message));
+  });
   client.on("ready", async (...args) => {
     ready(...args);
   });
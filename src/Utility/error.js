@@ -7,25 +7,30 @@
 
 ///////////////////////////////////////////////////////////////////////////////
 
-import { formatNow } from "./time.js";
+import { log } from "./log.js";
+import { createCounter } from "./metrics.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const ERRORS = createCounter(
+  "witchesrevel_errors_total",
+  "Errors caught and logged."
+);
 
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
- * Prints an error to the console.
+ * Logs an error, with its stack trace, and counts it in the metrics.
  * For use with catch(), e.g. asyncFunc.catch(logError).
  *
  * @param {Object} error The error caught to be logged.
+ * @param {Object} context Any fields describing where the error happened, e.g. {guild: "123", command: "card"}.
  */
-export function logError(error) {
-  console.error(
-    "--------------------------------------------------------------------------------"
-  );
-  console.error(`-- Error caught at ${formatNow()}`);
-  console.error(
-    "--------------------------------------------------------------------------------"
-  );
-  console.error();
-  console.error(error);
-  console.error();
+export function logError(error, context = {}) {
+  ERRORS.increment();
+  log("error", error?.message ?? `${error}`, {
+    ...context,
+    error: error?.name,
+    stack: error?.stack,
+  });
 }
@@ -0,0 +1,363 @@
+/**
+ * A full-text search utility module. Provides an inverted index for finding
+ * documents by the words they contain, ranked by relevance.
+ *
+ * Words are lowercased and stemmed, so "returns" and "returning" both match
+ * "return", and common words like "the" are ignored. Words in double quotes
+ * form a phrase, which must appear in that order in every result. Results are
+ * ranked with BM25, which favours rare words and short documents.
+ *
+ * @file   This files defines the fullTextSearch utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef TextIndex
+ * @type {Object}
+ * @property {string[][]} documents - The documents that were indexed, each an array of fields (e.g. lines of text).
+ * @property {Map<string, Map<int, int[]>>} postings - A map of each stemmed word to the indices of the documents containing it, and the positions it appears at in each.
+ * @property {int[]} lengths - The number of indexed words in each document.
+ * @property {number} averageLength - The average number of indexed words in a document.
+ */
+
+/**
+ * @typedef TextMatch
+ * @type {Object}
+ * @property {int} document - The index of the matching document.
+ * @property {number} score - How relevant the document is to the query (higher is better).
+ */
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "does",
+  "for",
+  "from",
+  "has",
+  "have",
+  "i",
+  "if",
+  "in",
+  "into",
+  "is",
+  "it",
+  "its",
+  "of",
+  "on",
+  "one",
+  "or",
+  "that",
+  "the",
+  "their",
+  "them",
+  "then",
+  "there",
+  "they",
+  "this",
+  "to",
+  "was",
+  "what",
+  "when",
+  "which",
+  "with",
+]);
+const FIELD_GAP = 100; // Positions skipped between fields so phrases cannot span them
+const K1 = 1.2; // BM25 term frequency saturation
+const B = 0.75; // BM25 document length normalisation
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates an index for searching a list of documents.
+ *
+ * @param {string[][]} documents The documents to index, each an array of fields (e.g. lines of text).
+ * @return {TextIndex} The index.
+ */
+export function createTextIndex(documents) {
+  const index = {
+    documents: documents,
+    postings: new Map(),
+    lengths: [],
+    averageLength: 0,
+  };
+
+  documents.forEach((fields, document) => {
+    let position = 0;
+    let length = 0;
+    fields.forEach((field) => {
+      tokenise(field).forEach(({ term }) => {
+        if (term) {
+          if (!index.postings.has(term)) {
+            index.postings.set(term, new Map());
+          }
+          const documentPostings = index.postings.get(term);
+          if (!documentPostings.has(document)) {
+            documentPostings.set(document, []);
+          }
+          documentPostings.get(document).push(position);
+          length++;
+        }
+        position++;
+      });
+      position += FIELD_GAP;
+    });
+    index.lengths.push(length);
+  });
+
+  const total = index.lengths.reduce((sum, length) => sum + length, 0);
+  index.averageLength = documents.length > 0 ? total / documents.length : 0;
+  return index;
+}
+
+/**
+ * Finds every document matching a query, most relevant first. A document
+ * matches if it contains every phrase in the query and, if the query has no
+ * phrases, any of its words. Documents are ranked by every word in the query,
+ * including those in phrases.
+ *
+ * @param {TextIndex} index The index to search.
+ * @param {string} query A search query, e.g. 'returns a spell "discard pile"'.
+ * @return {TextMatch[]} The matching documents, most relevant first. Earlier documents are prioritised in the case of ties.
+ */
+export function searchTextIndex(index, query) {
+  const { words, phrases } = parseQuery(query);
+  const terms = [
+    ...new Set([...words, ...phrases.flat().map(({ term }) => term)]),
+  ];
+  if (terms.length == 0) {
+    return [];
+  }
+
+  // Phrases are required, otherwise any word will do
+  let documents;
+  if (phrases.length > 0) {
+    phrases.forEach((phrase) => {
+      const matches = findPhrase(index, phrase);
+      documents = documents
+        ? new Set([...documents].filter((document) => matches.has(document)))
+        : matches;
+    });
+  } else {
+    documents = new Set();
+    terms.forEach((term) => {
+      (index.postings.get(term) ?? new Map()).forEach((positions, document) =>
+        documents.add(document)
+      );
+    });
+  }
+
+  return [...documents]
+    .map((document) => ({
+      document: document,
+      score: terms.reduce(
+        (score, term) => score + scoreTerm(index, term, document),
+        0
+      ),
+    }))
+    .sort((a, b) => b.score - a.score || a.document - b.document);
+}
+
+/**
+ * Creates a short extract of a document showing why it matched a query. The
+ * field with the most matching words is used, cut down to the given length
+ * around its first match, with matching words in bold (Markdown).
+ *
+ * @param {TextIndex} index The index the document is in.
+ * @param {int} document The index of the document.
+ * @param {string} query The search query the document matched.
+ * @param {int} maxLength The maximum length of the extract, excluding bold markers.
+ * @return {string} The extract.
+ */
+export function createSnippet(index, document, query, maxLength) {
+  const { words, phrases } = parseQuery(query);
+  const terms = new Set([...words, ...phrases.flat().map(({ term }) => term)]);
+
+  // Find the field with the most matching words
+  let best = { field: index.documents[document][0] ?? "", matches: [] };
+  index.documents[document].forEach((field) => {
+    const matches = tokenise(field).filter(({ term }) => terms.has(term));
+    if (matches.length > best.matches.length) {
+      best = { field: field, matches: matches };
+    }
+  });
+  const { field, matches } = best;
+
+  // Start shortly before the first match, at the start of a word
+  let start = 0;
+  if (field.length > maxLength && matches.length > 0) {
+    start = Math.min(
+      Math.max(0, matches[0].start - Math.floor(maxLength / 4)),
+      field.length - maxLength
+    );
+    const wordStart = field.slice(start).search(/(?<=\s)\S/);
+    start = start > 0 && wordStart >= 0 ? start + wordStart : start;
+  }
+  const prefix = start > 0 ? "…" : "";
+  let end = Math.min(field.length, start + maxLength - prefix.length);
+  const suffix = end < field.length ? "…" : "";
+  if (suffix) {
+    const wordEnd = field.lastIndexOf(" ", end - suffix.length);
+    end = wordEnd > start ? wordEnd : end - suffix.length;
+  }
+
+  // Bold each run of matching words
+  let snippet = "";
+  let position = start;
+  matches
+    .filter((match) => match.start >= start && match.end <= end)
+    .forEach((match) => {
+      const gap = field.slice(position, match.start);
+      if (snippet.endsWith("**") && position > start && !gap.trim()) {
+        snippet =
+          snippet.slice(0, -2) +
+          gap +
+          field.slice(match.start, match.end) +
+          "**";
+      } else {
+        snippet += gap + "**" + field.slice(match.start, match.end) + "**";
+      }
+      position = match.end;
+    });
+  snippet += field.slice(position, end);
+
+  return prefix + snippet.trim() + suffix;
+}
+
+/**
+ * Reduces a word to its stem, so different forms of the same word can be
+ * matched. This is a light stemmer based on the first steps of the Porter
+ * stemmer: it removes plurals, possessives and "-ed" and "-ing" endings.
+ *
+ * @param {string} word A lowercase word.
+ * @return {string} The word's stem, e.g. "return" for "returning".
+ */
+export function stem(word) {
+  let stem = word.replace(/'s?$/, "");
+  if (stem.length < 3) {
+    return stem;
+  }
+
+  // Plurals
+  if (stem.endsWith("sses")) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith("ies")) {
+    stem = stem.slice(0, stem.length > 4 ? -2 : -1);
+  } else if (/[^su]s$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Past tenses and participles
+  if (stem.endsWith("eed")) {
+    stem = stem.slice(0, -1);
+  } else {
+    const root = stem.replace(/(ed|ing)$/, "");
+    if (root != stem && /[aeiouy]/.test(root)) {
+      stem = root;
+    }
+  }
+
+  // Endings that vary between forms of a word
+  stem = stem.replace(/(?<=[aeiou].*)y$/, "i");
+  if (stem.length > 2) {
+    stem = stem.replace(/e$/, "");
+  }
+  return stem.replace(/([^aeiouslz])\1$/, "$1");
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} text A piece of text.
+ * @return {{term: ?string, start: int, end: int}[]} Every word in the text: its stem (or null if it is a stopword), and where it starts and ends.
+ */
+function tokenise(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+(?:'[\p{L}]*)?/gu)].map((match) => {
+    const word = match[0].toLowerCase();
+    return {
+      term: STOPWORDS.has(word) ? null : stem(word),
+      start: match.index,
+      end: match.index + match[0].length,
+    };
+  });
+}
+
+/**
+ * @param {string} query A search query.
+ * @return {{words: string[], phrases: {term: string, offset: int}[][]}} The stems of the words outside quotes, and the stems of the words in each phrase with their positions relative to its first word.
+ */
+function parseQuery(query) {
+  const words = [];
+  const phrases = [];
+  for (const [match, quoted] of query.matchAll(/"([^"]*)"?|[^\s"]+/g)) {
+    const tokens = tokenise(quoted ?? match);
+    if (quoted == null) {
+      tokens.forEach(({ term }) => term && words.push(term));
+      continue;
+    }
+    const first = tokens.findIndex(({ term }) => term);
+    const phrase = tokens
+      .map(({ term }, i) => ({ term: term, offset: i - first }))
+      .filter(({ term }) => term);
+    if (phrase.length > 0) {
+      phrases.push(phrase);
+    }
+  }
+  return { words: words, phrases: phrases };
+}
+
+/**
+ * @param {TextIndex} index The index to search.
+ * @param {{term: string, offset: int}[]} phrase The stems of the words in a phrase, with their positions relative to its first word.
+ * @return {Set<int>} The indices of the documents containing the phrase.
+ */
+function findPhrase(index, phrase) {
+  const postings = phrase.map(({ term }) => index.postings.get(term));
+  const documents = new Set();
+  if (postings.some((documentPostings) => !documentPostings)) {
+    return documents;
+  }
+
+  postings[0].forEach((positions, document) => {
+    const found = positions.some((position) =>
+      phrase.every(({ offset }, i) =>
+        (postings[i].get(document) ?? []).includes(position + offset)
+      )
+    );
+    if (found) {
+      documents.add(document);
+    }
+  });
+  return documents;
+}
+
+/**
+ * @param {TextIndex} index The index being searched.
+ * @param {string} term The stem of a word in the query.
+ * @param {int} document The index of a document.
+ * @return {number} The BM25 score of the word for the document.
+ */
+function scoreTerm(index, term, document) {
+  const documentPostings = index.postings.get(term);
+  const frequency = documentPostings?.get(document)?.length ?? 0;
+  if (frequency == 0) {
+    return 0;
+  }
+
+  const count = index.documents.length;
+  const idf = Math.log(
+    1 + (count - documentPostings.size + 0.5) / (documentPostings.size + 0.5)
+  );
+  const lengthRatio = index.lengths[document] / (index.averageLength || 1);
+  return (
+    (idf * frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio))
+  );
+}
@@ -46,6 +46,23 @@ export function bestMatch(input, pool, options) {
   )[0];
 }
 
+/**
+ * Sorts an array of strings by how closely they match a given string under the
+ * provided weightings (or the defaults if none are provided). Earlier elements
+ * in the array are prioritised in the case of ties.
+ *
+ * @param {string} input The string to rank the pool against.
+ * @param {string[]} pool The array of strings to rank.
+ * @return {string[]} A new array containing the pool, closest matches first.
+ */
+export function rankMatches(input, pool, options) {
+  options = options ? options : defaultOptions;
+  return pool
+    .map((value, index) => [value, dldist(input, value, options), index])
+    .sort((a, b) => a[1] - b[1] || a[2] - b[2])
+    .map((pair) => pair[0]);
+}
+
 /**
  * Finds the closest match under the provided weightings (or the defaults if
  * none are provided) of a given pairing of a string and value, returning just
@@ -66,3 +83,259 @@ export function bestMatchValue(input, pool, options) {
     [null, Infinity]
   )[0];
 }
+
+///////////////////////////////////////////////////////////////////////////////
+// Indexed search
+
+/**
+ * An index over a pool of strings, which finds the same matches as bestMatch
+ * and rankMatches without computing the distance to every string.
+ *
+ * Substring lookups intersect lists of the strings containing each n-gram of
+ * the query. Fuzzy lookups compute two cheap lower bounds on the distance to a
+ * string: one from the difference in length, and one from the characters the
+ * two strings do not share. Strings whose bound is already worse than the
+ * best match found so far are skipped, and lengths are visited best bound
+ * first so that good matches are found early.
+ *
+ * @typedef SearchIndex
+ * @type {Object}
+ * @property {string[]} pool - The indexed strings.
+ * @property {Map<string, Set<int>>} grams - A map of every substring of up to GRAM_LENGTH characters to the indices of the strings containing it.
+ * @property {Map<int, int[]>} lengths - A map of each string length to the indices of the strings with that length.
+ * @property {Map<string, int>[]} counts - The number of times each character appears in each string.
+ */
+
+const GRAM_LENGTH = 3;
+
+/**
+ * Builds an index over a pool of strings. The pool must not be modified
+ * afterwards.
+ *
+ * @param {string[]} pool The strings to index.
+ * @return {SearchIndex} The index.
+ */
+export function createSearchIndex(pool) {
+  const index = {
+    pool: pool,
+    grams: new Map(),
+    lengths: new Map(),
+    counts: [],
+  };
+
+  pool.forEach((value, i) => {
+    for (let n = 1; n <= GRAM_LENGTH; n++) {
+      for (let start = 0; start + n <= value.length; start++) {
+        const gram = value.substring(start, start + n);
+        if (!index.grams.has(gram)) {
+          index.grams.set(gram, new Set());
+        }
+        index.grams.get(gram).add(i);
+      }
+    }
+
+    if (!index.lengths.has(value.length)) {
+      index.lengths.set(value.length, []);
+    }
+    index.lengths.get(value.length).push(i);
+
+    index.counts.push(countCharacters(value));
+  });
+
+  return index;
+}
+
+/**
+ * Finds every string in an index that contains a query.
+ *
+ * @param {SearchIndex} index An index.
+ * @param {string} query The substring to find.
+ * @return {int[]} The indices of the strings containing the query, in pool order.
+ */
+export function findSubstrings(index, query) {
+  if (!query) {
+    return index.pool.map((value, i) => i);
+  }
+
+  // Every n-gram of the query must appear in a string that contains it
+  const n = Math.min(query.length, GRAM_LENGTH);
+  const postings = [];
+  for (let start = 0; start + n <= query.length; start++) {
+    const posting = index.grams.get(query.substring(start, start + n));
+    if (!posting) {
+      return [];
+    }
+    postings.push(posting);
+  }
+  postings.sort((a, b) => a.size - b.size);
+
+  const candidates = [...postings[0]].filter((i) =>
+    postings.every((posting) => posting.has(i))
+  );
+  if (query.length <= GRAM_LENGTH) {
+    return candidates.sort((a, b) => a - b);
+  }
+  return candidates
+    .filter((i) => index.pool[i].includes(query))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Finds the closest match to a string within an index, or a subset of it.
+ * The result is always the same as that of bestMatch on the same strings.
+ *
+ * @param {string} input The string to find the closest match to.
+ * @param {SearchIndex} index The index to search.
+ * @param {?int[]} subset The indices of the strings to search, in pool order (defaults to the whole pool).
+ * @return {string} The best match for the input from within the strings searched.
+ */
+export function bestMatchIndexed(input, index, subset, options) {
+  const [best] = rankMatchesIndexed(input, index, 1, subset, options);
+  return best ?? "";
+}
+
+/**
+ * Finds the closest matches to a string within an index, or a subset of it.
+ * The result is always the same as the start of the result of rankMatches on
+ * the same strings.
+ *
+ * @param {string} input The string to rank the strings against.
+ * @param {SearchIndex} index The index to search.
+ * @param {int} limit The maximum number of strings to return.
+ * @param {?int[]} subset The indices of the strings to rank, in pool order (defaults to the whole pool).
+ * @return {string[]} The closest matches, closest first.
+ */
+export function rankMatchesIndexed(input, index, limit, subset, options) {
+  options = options ? options : defaultOptions;
+  const weights = {
+    ins: options.insWeight ?? 1,
+    del: options.delWeight ?? 1,
+    sub: options.subWeight ?? 1,
+  };
+
+  // Group the strings by length, and visit the lengths best bound first
+  let lengths = index.lengths;
+  if (subset) {
+    lengths = new Map();
+    subset.forEach((i) => {
+      const length = index.pool[i].length;
+      if (!lengths.has(length)) {
+        lengths.set(length, []);
+      }
+      lengths.get(length).push(i);
+    });
+  }
+  const buckets = [...lengths.entries()]
+    .map(([length, members]) => [
+      editBound(
+        Math.max(0, input.length - length),
+        Math.max(0, length - input.length),
+        weights
+      ),
+      members,
+    ])
+    .sort((a, b) => a[0] - b[0]);
+
+  const inputCounts = countCharacters(input);
+  const results = []; // [distance, index] pairs, closest first
+  const isExcluded = (bound, i) => {
+    if (results.length < limit) {
+      return false;
+    }
+    const [worstDistance, worstIndex] = results[results.length - 1];
+    return bound > worstDistance || (bound == worstDistance && i > worstIndex);
+  };
+
+  for (const [lengthBound, members] of buckets) {
+    if (
+      results.length >= limit &&
+      lengthBound > results[results.length - 1][0]
+    ) {
+      break;
+    }
+    for (const i of members) {
+      const value = index.pool[i];
+      if (
+        isExcluded(characterBound(inputCounts, input, index, i, weights), i)
+      ) {
+        continue;
+      }
+      const distance = dldist(input, value, options);
+      if (isExcluded(distance, i)) {
+        continue;
+      }
+
+      let position = results.length;
+      while (
+        position > 0 &&
+        (results[position - 1][0] > distance ||
+          (results[position - 1][0] == distance &&
+            results[position - 1][1] > i))
+      ) {
+        position--;
+      }
+      results.splice(position, 0, [distance, i]);
+      if (results.length > limit) {
+        results.pop();
+      }
+    }
+  }
+
+  return results.map(([, i]) => index.pool[i]);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} value A string.
+ * @return {Map<string, int>} The number of times each character appears in the string.
+ */
+function countCharacters(value) {
+  const counts = new Map();
+  for (let i = 0; i < value.length; i++) {
+    const char = value.charAt(i);
+    counts.set(char, (counts.get(char) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * A lower bound on the distance from the input to a string, based on the
+ * characters the input has that the string does not, and vice versa.
+ *
+ * @param {Map<string, int>} inputCounts The number of times each character appears in the input.
+ * @param {string} input The input.
+ * @param {SearchIndex} index The index containing the string.
+ * @param {int} i The index of the string.
+ * @param {{ins: number, del: number, sub: number}} weights The weights of each edit.
+ * @return {number} The lower bound.
+ */
+function characterBound(inputCounts, input, index, i, weights) {
+  const counts = index.counts[i];
+  let extraInput = 0;
+  inputCounts.forEach((count, char) => {
+    extraInput += Math.max(0, count - (counts.get(char) ?? 0));
+  });
+  const extraValue = index.pool[i].length - input.length + extraInput;
+  return editBound(extraInput, extraValue, weights);
+}
+
+/**
+ * Each deletion removes one of the input's extra characters, each insertion
+ * adds one of the string's, and each substitution can do both. Transpositions
+ * do neither.
+ *
+ * @param {int} extraInput The number of characters in the input that are not in the string.
+ * @param {int} extraValue The number of characters in the string that are not in the input.
+ * @param {{ins: number, del: number, sub: number}} weights The weights of each edit.
+ * @return {number} The minimum cost of the edits needed to fix those characters.
+ */
+function editBound(extraInput, extraValue, weights) {
+  const swaps = Math.min(extraInput, extraValue);
+  return (
+    swaps * Math.min(weights.sub, weights.ins + weights.del) +
+    (extraInput - swaps) * weights.del +
+    (extraValue - swaps) * weights.ins
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * A utility module for logging what the bot is doing.
+ *
+ * Each entry is printed as a single line of JSON, so logs can be searched and
+ * filtered by their fields, e.g.
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","message":"card data reloaded","added":2}
+ *
+ * Entries can include context fields, such as the guild, channel, command or
+ * query they relate to. Entries below LOG_LEVEL are not printed.
+ *
+ * @file   This files defines the log utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The log levels, from least to most severe.
+ */
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const DEFAULT_LEVEL = "info"; // Min level printed if LOG_LEVEL is not set
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Prints a log entry, if its level is at least LOG_LEVEL. Warnings and errors
+ * are printed to stderr, and everything else to stdout.
+ *
+ * @param {string} level The severity of the entry ("debug", "info", "warn" or "error").
+ * @param {string} message What happened.
+ * @param {Object} context Any fields describing the context of the entry, e.g. {guild: "123", query: "fireball"}. Fields that are null or undefined are left out.
+ */
+export function log(level, message, context = {}) {
+  const minimum = LOG_LEVELS.indexOf(process.env.LOG_LEVEL ?? DEFAULT_LEVEL);
+  if (LOG_LEVELS.indexOf(level) < Math.max(0, minimum)) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    message: message,
+  };
+  Object.entries(context).forEach(([key, value]) => {
+    if (value != null) {
+      entry[key] = value;
+    }
+  });
+
+  const line = JSON.stringify(entry);
+  if (level == "warn" || level == "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Prints a debug log entry (see log).
+ *
+ * @param {string} message What happened.
+ * @param {Object} context Any fields describing the context of the entry.
+ */
+export function logDebug(message, context) {
+  log("debug", message, context);
+}
+
+/**
+ * Prints an info log entry (see log).
+ *
+ * @param {string} message What happened.
+ * @param {Object} context Any fields describing the context of the entry.
+ */
+export function logInfo(message, context) {
+  log("info", message, context);
+}
+
+/**
+ * Prints a warning log entry (see log).
+ *
+ * @param {string} message What happened.
+ * @param {Object} context Any fields describing the context of the entry.
+ */
+export function logWarn(message, context) {
+  log("warn", message, context);
+}
@@ -0,0 +1,199 @@
+/**
+ * A utility module for measuring what the bot is doing.
+ *
+ * Modules create counters (e.g. lookups made) and histograms (e.g. how long
+ * lookups take) when they are loaded, then update them as they run. Each
+ * update can have labels (e.g. {syntax: "card", result: "found"}), and a
+ * separate series is kept for each combination of labels. The metrics are
+ * kept in memory since the bot started, and served in the Prometheus text
+ * format at http://localhost:METRICS_PORT/metrics so they can be collected
+ * over time.
+ *
+ * @file   This files defines the metrics utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import http from "http";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const METRICS = new Map(); // Persistent data (metrics by name, in the order they were created)
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]; // Upper bounds of histogram buckets, in seconds
+
+/**
+ * @typedef Counter
+ * @type {Object}
+ * @property {function(Object=, number=)} increment - Adds to the counter (1 by default), given the labels of the series to add to.
+ */
+
+/**
+ * @typedef Histogram
+ * @type {Object}
+ * @property {function(number, Object=)} observe - Records a value, given the labels of the series to record it in.
+ * @property {function(Object=): function(Object=)} startTimer - Starts timing something, given the labels of the series to record it in. Returns a function that records the seconds elapsed when called, optionally with more labels (e.g. the result).
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates a counter, which counts how many times something has happened.
+ *
+ * @param {string} name The name of the counter, e.g. "witchesrevel_lookups_total".
+ * @param {string} help A description of what the counter counts.
+ * @return {Counter} The counter.
+ */
+export function createCounter(name, help) {
+  const metric = { name: name, help: help, type: "counter", series: new Map() };
+  METRICS.set(name, metric);
+
+  return {
+    increment: (labels = {}, value = 1) => {
+      const key = labelsToString(labels);
+      metric.series.set(key, (metric.series.get(key) ?? 0) + value);
+    },
+  };
+}
+
+/**
+ * Creates a histogram, which records how values (usually durations in seconds)
+ * are distributed between buckets.
+ *
+ * @param {string} name The name of the histogram, e.g. "witchesrevel_lookup_duration_seconds".
+ * @param {string} help A description of what the histogram records.
+ * @param {number[]} buckets The upper bound of each bucket, in ascending order (defaults to a range of durations from 5ms to 10s).
+ * @return {Histogram} The histogram.
+ */
+export function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const metric = {
+    name: name,
+    help: help,
+    type: "histogram",
+    buckets: buckets,
+    series: new Map(),
+  };
+  METRICS.set(name, metric);
+
+  const observe = (value, labels = {}) => {
+    const key = labelsToString(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, {
+        labels: labels,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+    const series = metric.series.get(key);
+    buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  };
+
+  return {
+    observe: observe,
+    startTimer: (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+        observe(elapsed, { ...labels, ...moreLabels });
+      };
+    },
+  };
+}
+
+/**
+ * Serves the metrics at http://localhost:METRICS_PORT/metrics. The server only
+ * accepts connections from the same machine. If METRICS_PORT is not set (or
+ * is 0), nothing is served.
+ *
+ * @return {Promise<?http.Server>} The server once it is listening, or null if metrics are not served. Rejects if the server cannot listen (e.g. the port is in use).
+ */
+export async function startMetricsServer() {
+  const port = +process.env.METRICS_PORT;
+  if (!port) {
+    return null;
+  }
+
+  const server = http.createServer((request, response) => {
+    if (request.method != "GET" || request.url != "/metrics") {
+      response.writeHead(404).end();
+      return;
+    }
+    response
+      .writeHead(200, { "Content-Type": "text/plain; version=0.0.4" })
+      .end(formatMetrics());
+  });
+  return await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @return {string} Every metric, in the Prometheus text exposition format.
+ */
+function formatMetrics() {
+  const lines = [];
+  METRICS.forEach((metric) => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type == "counter") {
+      metric.series.forEach((value, key) => {
+        lines.push(`${metric.name}${key} ${value}`);
+      });
+      return;
+    }
+
+    metric.series.forEach((series) => {
+      metric.buckets.forEach((bound, i) => {
+        const labels = labelsToString({ ...series.labels, le: `${bound}` });
+        lines.push(`${metric.name}_bucket${labels} ${series.counts[i]}`);
+      });
+      const labels = labelsToString({ ...series.labels, le: "+Inf" });
+      lines.push(`${metric.name}_bucket${labels} ${series.count}`);
+      const key = labelsToString(series.labels);
+      lines.push(`${metric.name}_sum${key} ${series.sum}`);
+      lines.push(`${metric.name}_count${key} ${series.count}`);
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {Object} labels The labels of a series, e.g. {syntax: "card"}.
+ * @return {string} The labels in the Prometheus format, e.g. '{syntax="card"}', or an empty string if there are none. Labels are sorted by name so each series has one key.
+ */
+function labelsToString(labels) {
+  const pairs = Object.keys(labels)
+    .filter((name) => labels[name] != null)
+    .sort()
+    .map((name) => `${name}="${escapeLabel(`${labels[name]}`)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * @param {string} value A label value.
+ * @return {string} The value with backslashes, quotes and new lines escaped.
+ */
+function escapeLabel(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
@@ -37,3 +37,38 @@ export function randomIndex(array) {
 export function randomElement(array) {
   return array[randomIndex(array)];
 }
+
+/**
+ * Get a number of distinct random elements from an array.
+ *
+ * @param {[*]} array The array to pick random elements of.
+ * @param {int} count The number of elements to pick.
+ * @return {[*]} An array of random elements of the given array, in a random order (shorter than count if the array is too small).
+ */
+export function randomElements(array, count) {
+  const pool = [...array];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(randomIndex(pool), 1)[0]);
+  }
+  return picked;
+}
+
+/**
+ * Creates a pseudorandom number generator that always produces the same
+ * sequence of numbers for the same seed.
+ *
+ * @param {int} seed Any integer.
+ * @return {function(): number} A function returning numbers between 0 (inclusive) and 1 (exclusive), like Math.random.
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    // Mulberry32
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * A utility module for remembering which replies the bot sent to each message,
+ * so they can be updated when the message is edited or deleted.
+ *
+ * Only the most recently used messages are remembered (REPLY_TRACKING_LIMIT),
+ * and nothing is remembered after the bot restarts.
+ *
+ * @file   This files defines the replyTracker utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+const REPLIES = new Map(); // Persistent data (message IDs to replies, least recently used first)
+
+const DEFAULT_LIMIT = 1000; // Max messages remembered if REPLY_TRACKING_LIMIT is not set
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Remembers the replies sent to a message, replacing any remembered before. If
+ * too many messages are remembered, the least recently used are forgotten.
+ *
+ * @param {string} messageId The ID of the message that was replied to.
+ * @param {Object[]} replies The Discord messages sent in reply, in order.
+ */
+export function trackReplies(messageId, replies) {
+  REPLIES.delete(messageId);
+  if (replies.length == 0) {
+    return;
+  }
+  REPLIES.set(messageId, replies);
+
+  const limit = process.env.REPLY_TRACKING_LIMIT
+    ? +process.env.REPLY_TRACKING_LIMIT
+    : DEFAULT_LIMIT;
+  for (const oldestId of REPLIES.keys()) {
+    if (REPLIES.size <= limit) {
+      break;
+    }
+    REPLIES.delete(oldestId);
+  }
+}
+
+/**
+ * @param {string} messageId The ID of a message.
+ * @return {bool} Whether any replies to the message are remembered.
+ */
+export function hasTrackedReplies(messageId) {
+  return REPLIES.has(messageId);
+}
+
+/**
+ * Forgets the replies sent to a message.
+ *
+ * @param {string} messageId The ID of the message that was replied to.
+ * @return {Object[]} The Discord messages that were sent in reply, in order (empty if none are remembered).
+ */
+export function untrackReplies(messageId) {
+  const replies = REPLIES.get(messageId) ?? [];
+  REPLIES.delete(messageId);
+  return replies;
+}
@@ -21,6 +21,48 @@ export function formatNow() {
   return `${now.toDateString()} ${hours}:${minutes}:${seconds}`;
 }
 
+/**
+ * Finds the date and time of a moment in a given time zone.
+ *
+ * @param {Date} date The moment to convert.
+ * @param {string} timeZone An IANA time zone, e.g. "Europe/London".
+ * @return {{date: string, time: string}} The date as "YYYY-MM-DD" and the time as "HH:MM" in that time zone.
+ */
+export function getLocalDateTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * @param {string} timeZone A string that may be an IANA time zone.
+ * @return {bool} If the string is a time zone supported by this system.
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
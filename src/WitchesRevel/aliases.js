@@ -16,6 +16,12 @@ import { randomElement } from "../Utility/random.js";
 
 let ALIASES; // Persistent data
 
+/**
+ * Aliases are stored in two layers: a global table that applies everywhere,
+ * and a table per server that applies only in that server. When an alias is
+ * looked up, the server's table is checked before the global table.
+ */
+
 /**
  * Loads the alias data from resources into the cache.
  */
@@ -30,6 +36,9 @@ export function loadAliases() {
   if (!ALIASES.aliases) {
     ALIASES.aliases = {};
   }
+  if (!ALIASES.guilds) {
+    ALIASES.guilds = {};
+  }
 }
 
 /**
@@ -50,12 +59,15 @@ export function saveAliases() {
  * @param {string} alias A string to map to a specific card.
  * @param {string} cardName A card's name (not verified).
  * @param {bool} canGroup If true, and there's already a card with this alias, create a list of aliases for that card.
+ * @param {?string} guildId The ID of the server to add the alias to. If unset, the alias is added globally.
  * @return {bool} Was the assignment successful (if not, there was already an alias with that string).
  */
-export function addAlias(alias, cardName, canGroup) {
+export function addAlias(alias, cardName, canGroup, guildId) {
+  const aliases = getAliasTable(guildId, true);
+
   // If that alias does not exist, create it
-  if (!ALIASES.aliases[alias]) {
-    ALIASES.aliases[alias] = cardName;
+  if (!aliases[alias]) {
+    aliases[alias] = cardName;
     return true;
   }
 
@@ -65,21 +77,21 @@ export function addAlias(alias, cardName, canGroup) {
   }
 
   // If the alias already contains only the card, fail
-  if (ALIASES.aliases[alias] == cardName) {
+  if (aliases[alias] == cardName) {
     return false;
   }
 
   // If the alias is currently a singleton, make it a list
-  if (typeof ALIASES.aliases[alias] == "string") {
-    ALIASES.aliases[alias] = [ALIASES.aliases[alias]];
+  if (typeof aliases[alias] == "string") {
+    aliases[alias] = [aliases[alias]];
   }
   // If not, and the alias already contains the card, fail
-  else if (ALIASES.aliases[alias].includes(cardName)) {
+  else if (aliases[alias].includes(cardName)) {
     return false;
   }
 
   // Add the alias
-  ALIASES.aliases[alias].push(cardName);
+  aliases[alias].push(cardName);
   return true;
 }
 
@@ -88,36 +100,37 @@ export function addAlias(alias, cardName, canGroup) {
  *
  * @param {string} alias The alias to remove.
  * @param {?string} cardName An optional card name. If specified, only remove that card from the alias.
+ * @param {?string} guildId The ID of the server to remove the alias from. If unset, the alias is removed globally.
  * @return {bool} Was the deletion successful (if not, there was no alias with that string).
  */
-export function removeAlias(alias, cardName) {
+export function removeAlias(alias, cardName, guildId) {
+  const aliases = getAliasTable(guildId, false);
+
   // If the alias does not exist, fail
-  if (!ALIASES.aliases[alias]) {
+  if (!aliases[alias]) {
     return false;
   }
 
   // If a card is specified, check if it exists to be deleted
   if (cardName) {
     // If the alias is a singleton, and that singleton is the card, delete the entry
-    if (ALIASES.aliases[alias] == cardName) {
-      delete ALIASES.aliases[alias];
-      return true;
+    if (aliases[alias] == cardName) {
+      delete aliases[alias];
     }
     // If not, and the alias is not a list, fail
-    else if (typeof ALIASES.aliases[alias] == "string") {
+    else if (typeof aliases[alias] == "string") {
       return false;
     }
     // Search the alias group for the card and succeed or fail based on the result
     else {
-      const index = ALIASES.aliases[alias].indexOf(cardName);
+      const index = aliases[alias].indexOf(cardName);
       if (index > -1) {
-        ALIASES.aliases[alias].splice(index, 1);
-        if (ALIASES.aliases[alias].length == 1) {
-          ALIASES.aliases[alias] = ALIASES.aliases[alias][0]; // The alias is now a singleton - simplify it
-        } else if (ALIASES.aliases[alias].length == 0) {
-          delete ALIASES.aliases[alias]; // The alias group is empty - delete it
+        aliases[alias].splice(index, 1);
+        if (aliases[alias].length == 1) {
+          aliases[alias] = aliases[alias][0]; // The alias is now a singleton - simplify it
+        } else if (aliases[alias].length == 0) {
+          delete aliases[alias]; // The alias group is empty - delete it
         }
-        return true;
       } else {
         return false;
       }
@@ -125,9 +138,14 @@ export function removeAlias(alias, cardName) {
   }
   // Otherwise, just delete the entire entry
   else {
-    delete ALIASES.aliases[alias];
-    return true;
+    delete aliases[alias];
+  }
+
+  // Do not keep empty server tables
+  if (guildId && Object.keys(aliases).length == 0) {
+    delete ALIASES.guilds[guildId];
   }
+  return true;
 }
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -137,28 +155,82 @@ export function removeAlias(alias, cardName) {
  * none, it returns the input unchanged.
  *
  * @param {string} alias A string to be dealiased.
+ * @param {?string} guildId The ID of the server the alias is used in, if any.
  * @return {string} The dealiased string.
  */
-export function applyAlias(input) {
-  const alias = ALIASES.aliases[normalise(input).replace(/[-_]/g, " ")];
-  return alias
-    ? typeof alias == "string"
-      ? alias
-      : randomElement(alias)
-    : input;
+export function applyAlias(input, guildId) {
+  const cardNames = resolveAlias(input, guildId);
+  return cardNames.length > 0 ? randomElement(cardNames) : input;
+}
+
+/**
+ * Takes a string and finds every card it is an alias for. The server's aliases
+ * take priority over global aliases.
+ *
+ * @param {string} input A string to be dealiased.
+ * @param {?string} guildId The ID of the server the alias is used in, if any.
+ * @return {string[]} The names of all cards the alias maps to (empty if it is not an alias).
+ */
+export function resolveAlias(input, guildId) {
+  const key = toAliasKey(input);
+  const guildAliases = getAliasTable(guildId, false);
+  const alias = guildAliases[key] ?? ALIASES.aliases[key];
+  return alias ? (typeof alias == "string" ? [alias] : alias) : [];
+}
+
+/**
+ * Checks whether a string is an alias in a server's table, matching it the
+ * same way resolveAlias does. Global aliases are not checked.
+ *
+ * @param {string} input A string that may be an alias.
+ * @param {?string} guildId The ID of the server whose aliases to check, if any.
+ * @return {bool} Whether the server has an alias for that string (always false outside servers).
+ */
+export function isGuildAlias(input, guildId) {
+  return (
+    guildId != null && getAliasTable(guildId, false)[toAliasKey(input)] != null
+  );
 }
 
 /**
  * Takes a card's name and returns an array of all aliases for that card.
  *
  * @param {string} cardName The name of a card.
+ * @param {?string} guildId The ID of the server to list aliases from. If unset, global aliases are listed.
  * @return {string[]} An array of all aliases for that card.
  */
-export function listAliases(cardName) {
-  return Object.keys(ALIASES.aliases).filter((alias) => {
-    const cards = ALIASES.aliases[alias];
+export function listAliases(cardName, guildId) {
+  const aliases = getAliasTable(guildId, false);
+  return Object.keys(aliases).filter((alias) => {
+    const cards = aliases[alias];
     return typeof cards == "string"
       ? cards == cardName
       : cards.includes(cardName);
   });
 }
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} input A string that may be an alias.
+ * @return {string} The key the alias is stored under (normalised, with hyphens and underscores as spaces).
+ */
+function toAliasKey(input) {
+  return normalise(input).replace(/[-_]/g, " ");
+}
+
+/**
+ * @param {?string} guildId The ID of a server, or null for the global table.
+ * @param {bool} create Whether to create the server's table if it does not exist yet.
+ * @return {Object} The table of aliases for that server.
+ */
+function getAliasTable(guildId, create) {
+  if (!guildId) {
+    return ALIASES.aliases;
+  }
+  if (!ALIASES.guilds[guildId] && create) {
+    ALIASES.guilds[guildId] = {};
+  }
+  return ALIASES.guilds[guildId] ?? {};
+}
@@ -7,10 +7,27 @@
 
 ///////////////////////////////////////////////////////////////////////////////
 
-import { bestMatch } from "../Utility/fuzzySearch.js";
+import {
+  bestMatch,
+  bestMatchIndexed,
+  createSearchIndex,
+  defaultOptions,
+  findSubstrings,
+  rankMatchesIndexed,
+} from "../Utility/fuzzySearch.js";
+import {
+  createSnippet,
+  createTextIndex,
+  searchTextIndex,
+} from "../Utility/fullTextSearch.js";
 import { normalise, readId } from "./../Utility/text.js";
-import { loadAliases } from "./aliases.js";
-import { randomElement } from "../Utility/random.js";
+import { loadAliases, resolveAlias } from "./aliases.js";
+import { loadDataFile, loadLatestSnapshot, saveSnapshot } from "./snapshot.js";
+import { randomElement, randomElements } from "../Utility/random.js";
+import { logError } from "../Utility/error.js";
+import { logWarn } from "../Utility/log.js";
+import { createCounter, createHistogram } from "../Utility/metrics.js";
+import dldist from "weighted-damerau-levenshtein";
 
 ///////////////////////////////////////////////////////////////////////////////
 // Init
@@ -18,18 +35,53 @@ import { randomElement } from "../Utility/random.js";
 /**
  * @typedef WrData
  * @type {Object}
- * @property {string[]} normalisedCardTitles - An array of lowercase card titles with special characters removed.
+ * @property {string[]} normalisedCardTitles - An array of lowercase card titles with special characters removed. This includes the titles of back faces.
  * @property {Object} normalisedToUnnormalisedCardTitles - A map of normalised card titles to their unmodified versions.
- * @property {Object} acronymsToCardIds - A map of strings to card IDs they are acronyms of.
+ * @property {Object} normalisedTitlesToFaces - A map of normalised card titles to the ID of the card and the face ("frontFace" or "backFace") with that title.
+ * @property {Object} acronymsToCardIds - A map of strings to the IDs of every card they are acronyms of, in the order the cards are listed.
  * @property {Object} mappedCardTitles - A map of characters to a list of normalised card titles starting with that character.
+ * @property {SearchIndex} cardTitleIndex - A search index over normalisedCardTitles, used for fuzzy matching.
+ * @property {TextIndex} cardTextIndex - A full-text index over the type line and rules text of each card's front face, in the same order as cards.
  * @property {Object} expansions - A map of expansion IDs to expansion API data.
+ * @property {DataSource} source - Where the data was loaded from.
+ */
+
+/**
+ * @typedef DataSource
+ * @type {Object}
+ * @property {string} type - "api" if the data was fetched from the API, "snapshot" if the API could not be reached, or "file" if it was loaded from CARD_DATA_SOURCE.
+ * @property {string} savedAt - When the data was fetched from the API, as an ISO string.
+ * @property {bool} stale - Whether the data may be out of date.
  */
 
 /**
  * An object to store all card data used throughout the bot's lifetime.
+ *
+ * This object is never modified once it has been built. Reloading the data
+ * builds a new object and replaces this one in a single assignment, so
+ * lookups always see a complete set of data.
  * @type {WrData}
  */
-const DATA = {};
+let DATA = {};
+
+let reloading = null; // The reload in progress, if any
+
+const API_REQUESTS = createCounter(
+  "witchesrevel_api_requests_total",
+  "Requests made to the card API, by result (success or error)."
+);
+const API_REQUEST_SECONDS = createHistogram(
+  "witchesrevel_api_request_duration_seconds",
+  "Time taken by requests to the card API, including reading the response."
+);
+
+/**
+ * @typedef DataChanges
+ * @type {Object}
+ * @property {string[]} added - The titles of cards that were added.
+ * @property {string[]} removed - The titles of cards that were removed.
+ * @property {string[]} changed - The titles of cards whose data changed.
+ */
 
 /**
  * Initialises the api.
@@ -38,69 +90,214 @@ const DATA = {};
  * from the API.
  */
 export async function init() {
-  await loadApiData();
+  await loadApiData(true);
   loadAliases();
 }
 
+/**
+ * Reloads all card data from the API and replaces the cached data once it has
+ * been fully rebuilt. Unlike at startup, snapshots are never used as a
+ * fallback, so a failed reload leaves the current data in place.
+ *
+ * If a reload is already in progress, this waits for that reload instead of
+ * starting another.
+ *
+ * @return {DataChanges} The differences between the old and new card data.
+ */
+export async function reloadData() {
+  if (!reloading) {
+    const previous = DATA;
+    reloading = loadApiData(false)
+      .then(() => diffCards(previous, DATA))
+      .finally(() => {
+        reloading = null;
+      });
+  }
+  return await reloading;
+}
+
 /**
  * Loads a data object storing all required data from the WR API.
  *
- * This function should be called exactly once (at startup) to initialise and
- * cache the WR data. Some data sets are precalculated here (see the typedef
- * for WrData).
+ * This function is called at startup to initialise and cache the WR data, and
+ * again whenever the data is reloaded. Some data sets are precalculated here
+ * (see the typedef for WrData).
  *
  * The WR API should ideally not be accessed again, except to reload this data.
+ *
+ * @param {bool} allowSnapshot Whether to fall back to the newest snapshot if the API cannot be reached.
  */
-async function loadApiData() {
-  const data = await fetchData(`${process.env.API_URL}cards/all.json`);
+async function loadApiData(allowSnapshot) {
+  const [data, source] = await loadRawData(allowSnapshot);
+  DATA = buildData(data, source);
+}
+
+/**
+ * Builds a new data object from raw API data.
+ *
+ * @param {Object} data The raw card data, in the format returned by the API.
+ * @param {DataSource} source Where the raw data was loaded from.
+ * @return {WrData} The processed card data.
+ */
+function buildData(data, source) {
+  const built = { source: source };
 
   // Cache expansion data
-  DATA.expansions = {};
+  built.expansions = {};
   data.expansions.forEach((expansion) => {
-    DATA.expansions[expansion.id] = expansion;
+    built.expansions[expansion.id] = expansion;
   });
 
-  // Remove cards that do not have an associated expansion
-  data.cards = data.cards.filter((card) => {
-    const expansionData = Object.values(card.prints.printsByID)[0][0];
-    return getExpansion(expansionData.expansionID) != null;
-  })
+  // Remove cards that do not have any printing in a known expansion
+  data.cards = data.cards.filter((card) =>
+    Object.values(card.prints.printsByID)
+      .flat()
+      .some((print) => built.expansions[print.expansionID] != null)
+  );
 
   // Cache cards
-  DATA.cards = data.cards;
+  built.cards = data.cards;
   data.cards.forEach((card) => {
-    DATA.cards[readId(card.fullNames.frontFace)] = card;
+    built.cards[readId(card.fullNames.frontFace)] = card;
   });
 
-  // Cache card titles
-  DATA.normalisedCardTitles = [];
-  DATA.normalisedToUnnormalisedCardTitles = {};
-  DATA.acronymsToCardIds = {};
-  data.cards.forEach((card) => {
-    const normalised = normalise(card.fullNames.frontFace);
-    DATA.normalisedCardTitles.push(normalised);
-    DATA.normalisedToUnnormalisedCardTitles[normalised] =
-      card.fullNames.frontFace;
-    const acronym = normalised
-      .split(/[ ]/)
-      .map((s) => s[0])
-      .join("");
-    if (!DATA.acronymsToCardIds[acronym]) {
-      DATA.acronymsToCardIds[acronym] = card.id;
-    }
+  // Cache card titles (back faces are cached after all front faces so front faces win ties)
+  built.normalisedCardTitles = [];
+  built.normalisedToUnnormalisedCardTitles = {};
+  built.normalisedTitlesToFaces = {};
+  built.acronymsToCardIds = {};
+  ["frontFace", "backFace"].forEach((face) => {
+    data.cards.forEach((card) => {
+      const title = card.fullNames[face];
+      if (!title) {
+        return;
+      }
+      const normalised = normalise(title);
+      if (built.normalisedTitlesToFaces[normalised]) {
+        return;
+      }
+      built.normalisedCardTitles.push(normalised);
+      built.normalisedToUnnormalisedCardTitles[normalised] = title;
+      built.normalisedTitlesToFaces[normalised] = {
+        id: readId(card.fullNames.frontFace),
+        face: face,
+      };
+      const acronym = normalised
+        .split(/[ ]/)
+        .map((s) => s[0])
+        .join("");
+      const cardId = readId(card.fullNames.frontFace);
+      if (!built.acronymsToCardIds[acronym]) {
+        built.acronymsToCardIds[acronym] = [];
+      }
+      if (!built.acronymsToCardIds[acronym].includes(cardId)) {
+        built.acronymsToCardIds[acronym].push(cardId);
+      }
+    });
   });
 
   // Searchable object of normalised card titles
   // An object where each key is a character whose value is a list of normalised card titles starting with that character
-  DATA.mappedCardTitles = {};
-  DATA.normalisedCardTitles.forEach((title) => {
+  built.mappedCardTitles = {};
+  built.normalisedCardTitles.forEach((title) => {
     const char = title[0];
-    if (DATA.mappedCardTitles[char]) {
-      DATA.mappedCardTitles[char].push(title);
+    if (built.mappedCardTitles[char]) {
+      built.mappedCardTitles[char].push(title);
     } else {
-      DATA.mappedCardTitles[char] = [title];
+      built.mappedCardTitles[char] = [title];
     }
   });
+
+  // Index the titles for fuzzy matching
+  built.cardTitleIndex = createSearchIndex(built.normalisedCardTitles);
+
+  // Index the rules text for full-text search
+  built.cardTextIndex = createTextIndex(data.cards.map(cardToDocument));
+
+  return built;
+}
+
+/**
+ * Loads the raw card data from the source configured by CARD_DATA_SOURCE.
+ *
+ * By default, the data is fetched from the API and a snapshot of it is saved
+ * to resources. If the API cannot be reached, the newest snapshot is used
+ * instead (if allowed). If CARD_DATA_SOURCE is a file path, the data is read
+ * from that file and the API is never accessed.
+ *
+ * @param {bool} allowSnapshot Whether to fall back to the newest snapshot if the API cannot be reached.
+ * @return {[Object, DataSource]} The raw card data, in the format returned by the API, and where it was loaded from.
+ */
+async function loadRawData(allowSnapshot) {
+  const source = process.env.CARD_DATA_SOURCE;
+
+  // Local file
+  if (source && source != "api") {
+    const snapshot = loadDataFile(source);
+    return [
+      snapshot.data,
+      { type: "file", savedAt: snapshot.savedAt, stale: false },
+    ];
+  }
+
+  // API, falling back to the newest snapshot
+  try {
+    const data = await fetchData(`${process.env.API_URL}cards/all.json`);
+    try {
+      saveSnapshot(data);
+    } catch (err) {
+      logError(err); // Failing to save a snapshot should not prevent loading
+    }
+    return [
+      data,
+      { type: "api", savedAt: new Date().toISOString(), stale: false },
+    ];
+  } catch (err) {
+    const snapshot = allowSnapshot ? loadLatestSnapshot() : null;
+    if (!snapshot) {
+      throw err;
+    }
+    logError(err);
+    logWarn("card data is stale; the api could not be reached", {
+      snapshotSavedAt: snapshot.savedAt,
+    });
+    return [
+      snapshot.data,
+      { type: "snapshot", savedAt: snapshot.savedAt, stale: true },
+    ];
+  }
+}
+
+/**
+ * Compares the cards in two data objects.
+ *
+ * @param {WrData} previous The old card data.
+ * @param {WrData} current The new card data.
+ * @return {DataChanges} The differences between the two.
+ */
+function diffCards(previous, current) {
+  const changes = { added: [], removed: [], changed: [] };
+  const previousCards = new Map(
+    (previous.cards ?? []).map((card) => [card.id, card])
+  );
+  const currentIds = new Set();
+
+  current.cards.forEach((card) => {
+    currentIds.add(card.id);
+    const previousCard = previousCards.get(card.id);
+    if (!previousCard) {
+      changes.added.push(card.fullNames.frontFace);
+    } else if (JSON.stringify(previousCard) != JSON.stringify(card)) {
+      changes.changed.push(card.fullNames.frontFace);
+    }
+  });
+  previousCards.forEach((card, id) => {
+    if (!currentIds.has(id)) {
+      changes.removed.push(card.fullNames.frontFace);
+    }
+  });
+
+  return changes;
 }
 
 /**
@@ -110,6 +307,7 @@ async function loadApiData() {
  * @return {*} The contents of the API page.
  */
 export async function fetchData(url) {
+  const endTimer = API_REQUEST_SECONDS.startTimer();
   return await fetch(url)
     .then((response) => {
       if (!response.ok) {
@@ -117,9 +315,22 @@ export async function fetchData(url) {
       }
       return response.json();
     })
+    .then((data) => {
+      API_REQUESTS.increment({ result: "success" });
+      return data;
+    })
     .catch((error) => {
+      API_REQUESTS.increment({ result: "error" });
       throw new Error("Failed to load data from API: " + error);
-    });
+    })
+    .finally(() => endTimer());
+}
+
+/**
+ * @return {DataSource} Where the current card data was loaded from.
+ */
+export function getDataSource() {
+  return DATA.source;
 }
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -139,6 +350,17 @@ export async function fetchData(url) {
  * @return {Object} The card whose title most closely matches the input.
  */
 export function getClosestCard(input) {
+  return getClosestCardFace(input).card;
+}
+
+/**
+ * Finds the card face with the title closest to the given string, using the
+ * same rules as getClosestCard. Both front and back faces are searched.
+ *
+ * @param {string} input A string to find a card match for.
+ * @return {{card: Object, face: string}} The card whose title most closely matches the input, and which of its faces ("frontFace" or "backFace") has that title.
+ */
+export function getClosestCardFace(input) {
   const query = normalise(input);
 
   // If the input is all uppercase, attempt to treat it as an acronym
@@ -147,24 +369,176 @@ export function getClosestCard(input) {
     input.toUpperCase() == input &&
     DATA.acronymsToCardIds[query]
   ) {
-    return getCard(DATA.acronymsToCardIds[query]);
+    return {
+      card: getCard(DATA.acronymsToCardIds[query][0]),
+      face: "frontFace",
+    };
   }
 
   // Regular queries
-  const superStrings = DATA.normalisedCardTitles.filter((title) =>
-    title.includes(query)
-  );
-  const leadingStrings = superStrings.filter((title) =>
-    title.startsWith(query)
-  );
-  const name =
+  const [leadingStrings, superStrings] = tierCardTitles(query);
+  const name = bestMatchIndexed(
+    query,
+    DATA.cardTitleIndex,
     leadingStrings.length > 0
-      ? bestMatch(query, leadingStrings)
+      ? leadingStrings
       : superStrings.length > 0
-      ? bestMatch(query, superStrings)
-      : bestMatch(query, DATA.normalisedCardTitles);
-  const id = readId(name);
-  return getCard(id);
+      ? superStrings
+      : null
+  );
+  const match = DATA.normalisedTitlesToFaces[name];
+  return match
+    ? { card: getCard(match.id), face: match.face }
+    : { card: undefined, face: "frontFace" };
+}
+
+/**
+ * @typedef CardMatch
+ * @type {Object}
+ * @property {?Object} card - The card the input most likely refers to (undefined if there are no cards).
+ * @property {string} face - The face of the card ("frontFace" or "backFace") whose title was matched.
+ * @property {number} confidence - How sure the match is, from 0 (a guess) to 1 (certain).
+ * @property {{card: Object, face: string}[]} candidates - The cards the input most likely refers to, best first.
+ */
+
+const CANDIDATE_LIMIT = 5; // Max number of cards suggested for an uncertain match
+
+/**
+ * Finds the card a user most likely means, and how sure that match is.
+ *
+ * Aliases are applied first, then the input is matched in the same way as
+ * getClosestCardFace. The confidence of a fuzzy match falls with the cost of
+ * the typos needed to turn the input into the card's title, relative to the
+ * length of the input. Leaving part of the title out is not counted as a typo,
+ * so prefixes and exact titles are certain. An alias or acronym shared by
+ * several cards has a confidence of 0, as there is no way to choose between
+ * them.
+ *
+ * @param {string} input A string to find a card match for.
+ * @param {?string} guildId The ID of the server the input was sent in, if any (used for aliases).
+ * @return {CardMatch} The match.
+ */
+export function matchCard(input, guildId) {
+  // Aliases
+  const aliasCards = [];
+  resolveAlias(input, guildId).forEach((cardName) => {
+    const card = getClosestCard(cardName);
+    if (card && !aliasCards.includes(card)) {
+      aliasCards.push(card);
+    }
+  });
+  if (aliasCards.length > 0) {
+    return {
+      card: aliasCards[0],
+      face: "frontFace",
+      confidence: aliasCards.length == 1 ? 1 : 0,
+      candidates: aliasCards
+        .slice(0, CANDIDATE_LIMIT)
+        .map((card) => ({ card: card, face: "frontFace" })),
+    };
+  }
+
+  const { card, face } = getClosestCardFace(input);
+  if (!card) {
+    return { card: card, face: face, confidence: 0, candidates: [] };
+  }
+
+  // Acronyms
+  const query = normalise(input);
+  const acronymIds =
+    query.length > 1 && input.toUpperCase() == input
+      ? DATA.acronymsToCardIds[query]
+      : null;
+  if (acronymIds) {
+    return {
+      card: card,
+      face: face,
+      confidence: acronymIds.length == 1 ? 1 : 0,
+      candidates: acronymIds
+        .slice(0, CANDIDATE_LIMIT)
+        .map((cardId) => ({ card: getCard(cardId), face: "frontFace" })),
+    };
+  }
+
+  // Regular queries
+  const title = normalise(card.fullNames[face]);
+  const omitted = Math.max(0, title.length - query.length);
+  const typoCost =
+    dldist(query, title, defaultOptions) - omitted * defaultOptions.insWeight;
+  const confidence =
+    query.length > 0
+      ? Math.max(0, 1 - typoCost / (defaultOptions.subWeight * query.length))
+      : 0;
+
+  // The best match is always the first candidate
+  const candidates = [];
+  rankCardTitles(input, CANDIDATE_LIMIT * 2).forEach((title) => {
+    const match = DATA.normalisedTitlesToFaces[title];
+    if (!candidates.some((candidate) => candidate.card.id == match.id)) {
+      candidates.push({ card: getCard(match.id), face: match.face });
+    }
+  });
+
+  return {
+    card: card,
+    face: face,
+    confidence: confidence,
+    candidates: candidates.slice(0, CANDIDATE_LIMIT),
+  };
+}
+
+/**
+ * Ranks every card title by how closely it matches the given string.
+ *
+ * The ranking follows the same rules as getClosestCard: an acronym match comes
+ * first, followed by titles containing the input as a leading substring, then
+ * titles containing it anywhere, then the rest of the card pool. Each group is
+ * ordered by Levenshtein distance, so the first result is always the card
+ * getClosestCard would return. If the input is the acronym of several cards,
+ * they all come first.
+ *
+ * @param {string} input A string to rank the card titles against.
+ * @param {int} limit The maximum number of titles to return.
+ * @return {string[]} An array of normalised card titles, best matches first.
+ */
+export function rankCardTitles(input, limit) {
+  const query = normalise(input);
+  const results = [];
+
+  if (
+    query.length > 1 &&
+    input.toUpperCase() == input &&
+    DATA.acronymsToCardIds[query]
+  ) {
+    DATA.acronymsToCardIds[query].forEach((cardId) => {
+      results.push(normalise(getCard(cardId).fullNames.frontFace));
+    });
+  }
+
+  // Only the first few titles of each tier can make it into the results
+  const [leadingStrings, superStrings] = tierCardTitles(query);
+  const superSet = new Set(superStrings);
+  const otherStrings = DATA.normalisedCardTitles
+    .map((title, i) => i)
+    .filter((i) => !superSet.has(i));
+  for (const tier of [
+    leadingStrings,
+    superStrings.filter((i) => !DATA.normalisedCardTitles[i].startsWith(query)),
+    otherStrings,
+  ]) {
+    if (results.length >= limit) {
+      break;
+    }
+    rankMatchesIndexed(query, DATA.cardTitleIndex, limit, tier).forEach(
+      (title) => {
+        if (!results.includes(title)) {
+          results.push(title);
+        }
+      }
+    );
+  }
+
+  return results.slice(0, limit);
 }
 
 /**
@@ -176,18 +550,34 @@ export function getCard(cardId) {
 }
 
 /**
- * @return {string} A randomly selected card ID.
+ * @param {Object} card A card.
+ * @return {bool} Whether the card has a back face.
  */
-export function getRandomCardId() {
-  const randomCard = randomElement(Object.keys(DATA.cards));
-  return randomCard;
+export function hasBackFace(card) {
+  return card.backFace != null;
 }
 
 /**
  * @return {Object} A randomly selected card object from the API.
  */
-export async function getRandomCard() {
-  return getCard(getRandomCardId());
+export function getRandomCard() {
+  return randomElement(DATA.cards);
+}
+
+/**
+ * @param {int} count The number of cards to pick.
+ * @param {Object[]} cards The cards to pick from (defaults to every card in the game).
+ * @return {Object[]} Distinct randomly selected card objects, in a random order (fewer than count if there are not enough cards).
+ */
+export function getRandomCards(count, cards = DATA.cards) {
+  return randomElements(cards, count);
+}
+
+/**
+ * @return {Object[]} The array of every card in the game. Do not modify.
+ */
+export function getAllCards() {
+  return DATA.cards;
 }
 
 /**
@@ -219,6 +609,147 @@ export function searchNormalisedCardTitles(query) {
   return [];
 }
 
+/**
+ * Splits the card pool into the titles that contain a query anywhere and the
+ * subset of those that start with it.
+ *
+ * @param {string} query A normalised search query.
+ * @return {[int[], int[]]} The indices in normalisedCardTitles of the leading matches and the substring matches, in order.
+ */
+function tierCardTitles(query) {
+  const superStrings = findSubstrings(DATA.cardTitleIndex, query);
+  const leadingStrings = superStrings.filter((i) =>
+    DATA.normalisedCardTitles[i].startsWith(query)
+  );
+  return [leadingStrings, superStrings];
+}
+
+/**
+ * Finds every card whose rules text or type line matches a full-text query
+ * (see fullTextSearch for the query syntax). Only front faces are searched.
+ *
+ * @param {string} query A full-text search query, e.g. 'returns a spell "discard pile"'.
+ * @return {Object[]} The matching cards, most relevant first.
+ */
+export function searchCardText(query) {
+  return searchTextIndex(DATA.cardTextIndex, query).map(
+    ({ document }) => DATA.cards[document]
+  );
+}
+
+/**
+ * @param {Object} card A card returned by searchCardText.
+ * @param {string} query The full-text search query the card matched.
+ * @param {int} maxLength The maximum length of the extract.
+ * @return {string} An extract of the card's rules text or type line showing why it matched, with matching words in bold.
+ */
+export function getCardTextSnippet(card, query, maxLength) {
+  return createSnippet(
+    DATA.cardTextIndex,
+    DATA.cards.indexOf(card),
+    query,
+    maxLength
+  );
+}
+
+/**
+ * @param {Object} card A card.
+ * @return {string[]} The fields to index for full-text search: the type line and each clause of the front face's rules text.
+ */
+function cardToDocument(card) {
+  const face = card.frontFace;
+  return [
+    face.typeLine?.rawValue ?? "",
+    ...(face.text ?? []).map((clause) =>
+      clause.condition ? `${clause.condition} — ${clause.text}` : clause.text
+    ),
+  ];
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Prints
+
+/**
+ * @typedef Print
+ * @type {Object}
+ * @property {string} expansionID - The ID of the expansion the card was printed in.
+ * @property {string} id - The card's collector number within that expansion.
+ * @property {int} index - The position of this printing among all of the card's printings. The card's images and links are in the same order.
+ */
+
+/**
+ * Lists every printing of a card in a known expansion, in the order they are
+ * given by the API.
+ *
+ * @param {Object} card A card.
+ * @return {Print[]} An array of the card's printings.
+ */
+export function getPrints(card) {
+  return Object.values(card.prints.printsByID)
+    .flat()
+    .map((print, index) => ({ ...print, index: index }))
+    .filter((print) => getExpansion(print.expansionID));
+}
+
+/**
+ * @param {Object} card A card.
+ * @return {Print} The printing of the card that is displayed by default.
+ */
+export function getDefaultPrint(card) {
+  return getPrints(card)[0];
+}
+
+/**
+ * Finds the printing of a card that best matches a selector. A selector can be
+ * an expansion (e.g. "base set"), a collector number (e.g. "#12"), or both
+ * (e.g. "base set #12"). Expansions are matched by ID or by name, allowing for
+ * typos.
+ *
+ * @param {Object} card A card.
+ * @param {string} selector A string describing a printing.
+ * @return {?Print} The matching printing, or null if there is none.
+ */
+export function findPrint(card, selector) {
+  const [, expansionQuery, number] = normalise(selector).match(
+    /^(.*?)\s*(?:#\s*(\S+))?$/
+  );
+  let prints = getPrints(card);
+
+  if (number) {
+    prints = prints.filter((print) => normalise(String(print.id)) == number);
+  }
+
+  if (expansionQuery && prints.length > 0) {
+    const names = prints.map((print) =>
+      normalise(getExpansion(print.expansionID).collationName)
+    );
+    const exact = prints.find(
+      (print, i) =>
+        normalise(print.expansionID) == expansionQuery ||
+        names[i] == expansionQuery
+    );
+    if (exact) {
+      return exact;
+    }
+    const partial = names.filter((name) => name.includes(expansionQuery));
+    const name = bestMatch(
+      expansionQuery,
+      partial.length > 0 ? partial : names
+    );
+    return prints[names.indexOf(name)];
+  }
+
+  return prints[0] ?? null;
+}
+
+/**
+ * @param {Print} print A printing of a card.
+ * @return {string} A short description of the printing, e.g. "Base Set #12".
+ */
+export function printToString(print) {
+  return `${getExpansion(print.expansionID).collationName} #${print.id}`;
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // Expansions
 
@@ -240,3 +771,50 @@ export function getExpansion(expansionId) {
 export function getAllExpansions() {
   return DATA.expansions;
 }
+
+/**
+ * Finds the expansion that best matches a string. Expansions are matched by ID
+ * or by name, allowing for typos.
+ *
+ * @param {string} input An expansion's ID or name, as entered by a user.
+ * @return {?Object} The closest matching expansion, or null if there are no expansions.
+ */
+export function findExpansion(input) {
+  const query = normalise(input);
+  const expansions = Object.values(DATA.expansions);
+  const exact = expansions.find(
+    (expansion) =>
+      normalise(expansion.id) == query ||
+      normalise(expansion.collationName) == query
+  );
+  if (exact) {
+    return exact;
+  }
+
+  const names = expansions.map((expansion) =>
+    normalise(expansion.collationName)
+  );
+  const partial = names.filter((name) => name.includes(query));
+  const name = bestMatch(query, partial.length > 0 ? partial : names);
+  return expansions[names.indexOf(name)] ?? null;
+}
+
+/**
+ * Lists every printing in an expansion, in collector number order.
+ *
+ * @param {string} expansionId An expansion's ID.
+ * @return {{card: Object, print: Print}[]} Every card printed in the expansion, with its printing there (cards printed more than once are listed once per printing).
+ */
+export function getExpansionPrints(expansionId) {
+  return DATA.cards
+    .flatMap((card) =>
+      getPrints(card)
+        .filter((print) => print.expansionID == expansionId)
+        .map((print) => ({ card: card, print: print }))
+    )
+    .sort((a, b) =>
+      String(a.print.id).localeCompare(String(b.print.id), undefined, {
+        numeric: true,
+      })
+    );
+}
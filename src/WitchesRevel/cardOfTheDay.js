@@ -0,0 +1,214 @@
+/**
+ * A module for choosing and posting a card of the day.
+ *
+ * Every server gets the same card on the same date. Each date's card is picked
+ * at random from the cards not yet picked in the current pass, so no card is
+ * repeated until every card has been picked. The pass (its seed and the cards
+ * picked so far) is saved alongside the schedules, so it survives restarts,
+ * and cards added when the card data is reloaded join the cards remaining.
+ *
+ * Servers choose the channel, time and time zone the card is posted at. The
+ * date each server was last sent a card is saved, so a card that is due while
+ * the bot is offline is posted once it restarts.
+ *
+ * @file   This files defines the WitchesRevel/cardOfTheDay module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { getAllCards, getDefaultPrint } from "./api.js";
+import { createCardEmbed } from "./embed.js";
+import { logError } from "../Utility/error.js";
+import { randomInt, seededRandom } from "../Utility/random.js";
+import { getLocalDateTime } from "../Utility/time.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let SCHEDULES; // Persistent data
+
+const DATE_HISTORY = 7; // Number of recent dates whose cards are remembered
+
+/**
+ * @typedef Cycle
+ * @type {Object}
+ * @property {int} seed - The seed for picking cards during the current pass.
+ * @property {string[]} posted - The IDs of the cards picked so far in the current pass, in order.
+ * @property {Object} dates - A map of recent dates, as "YYYY-MM-DD", to the ID of the card picked for each, so servers in different time zones get the same card.
+ */
+
+/**
+ * @typedef Schedule
+ * @type {Object}
+ * @property {string} channelId - The ID of the channel to post the card in.
+ * @property {string} time - The time to post the card, as "HH:MM".
+ * @property {string} timeZone - The IANA time zone the time is in.
+ * @property {?string} lastPosted - The date a card was last posted, as "YYYY-MM-DD" in the schedule's time zone.
+ */
+
+/**
+ * Loads the card of the day schedules from resources into the cache.
+ */
+export function loadCardOfTheDay() {
+  if (fs.existsSync("./resources/cardOfTheDay.yml")) {
+    const file = fs.readFileSync("./resources/cardOfTheDay.yml", "utf8");
+    SCHEDULES = YAML.parse(file);
+  }
+  if (!SCHEDULES) {
+    SCHEDULES = {};
+  }
+  if (!SCHEDULES.guilds) {
+    SCHEDULES.guilds = {};
+  }
+  SCHEDULES.cycle = {
+    seed: randomInt(0, 2 ** 31),
+    posted: [],
+    dates: {},
+    ...SCHEDULES.cycle,
+  };
+}
+
+/**
+ * Saves the current version of the cached schedules to resources.
+ */
+export function saveCardOfTheDay() {
+  const yaml = SCHEDULES ? YAML.stringify(SCHEDULES) : "";
+  fs.writeFileSync("./resources/cardOfTheDay.yml", yaml, {
+    encoding: "utf8",
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Sets when and where a server's card of the day is posted. If today's card
+ * has not been posted yet and the time has passed, it will be posted straight
+ * away.
+ *
+ * @param {string} guildId The ID of the server.
+ * @param {string} channelId The ID of the channel to post the card in.
+ * @param {string} time The time to post the card, as "HH:MM".
+ * @param {string} timeZone The IANA time zone the time is in.
+ */
+export function setSchedule(guildId, channelId, time, timeZone) {
+  const previous = SCHEDULES.guilds[guildId];
+  SCHEDULES.guilds[guildId] = {
+    channelId: channelId,
+    time: time,
+    timeZone: timeZone,
+    lastPosted: previous ? previous.lastPosted : null,
+  };
+}
+
+/**
+ * Stops posting a card of the day in a server.
+ *
+ * @param {string} guildId The ID of the server.
+ * @return {bool} Was the removal successful (if not, the server had no schedule).
+ */
+export function removeSchedule(guildId) {
+  if (!SCHEDULES.guilds[guildId]) {
+    return false;
+  }
+  delete SCHEDULES.guilds[guildId];
+  return true;
+}
+
+/**
+ * @param {string} guildId The ID of a server.
+ * @return {?Schedule} The server's card of the day schedule, if it has one.
+ */
+export function getSchedule(guildId) {
+  return SCHEDULES.guilds[guildId] ?? null;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Posts the card of the day in every server where it is due. This should be
+ * called at least once a minute.
+ *
+ * @param {Object} client The Discord client.
+ */
+export async function postCardsOfTheDay(client) {
+  const now = new Date();
+  const due = Object.entries(SCHEDULES.guilds).filter(([, schedule]) => {
+    const local = getLocalDateTime(now, schedule.timeZone);
+    return local.date != schedule.lastPosted && local.time >= schedule.time;
+  });
+  if (due.length == 0) {
+    return;
+  }
+
+  // Mark the cards as posted first, so a channel that cannot be posted in is not retried every minute
+  due.forEach(([, schedule]) => {
+    schedule.lastPosted = getLocalDateTime(now, schedule.timeZone).date;
+  });
+  saveCardOfTheDay();
+
+  for (const [guildId, schedule] of due) {
+    try {
+      const channel = await client.channels.fetch(schedule.channelId);
+      await channel.send(createCardOfTheDayMessage(schedule.lastPosted));
+    } catch (err) {
+      // Card of the day could not be posted in this server
+      logError(err, { guild: guildId, channel: schedule.channelId });
+    }
+  }
+}
+
+/**
+ * @param {string} date A date, as "YYYY-MM-DD".
+ * @return {Object} The message options (content and embeds) announcing the card of the day for that date.
+ */
+export function createCardOfTheDayMessage(date) {
+  const card = getCardOfTheDay(date);
+  return {
+    content: `**Card of the day** • ${date}`,
+    embeds: [createCardEmbed(card, getDefaultPrint(card), "frontFace")],
+  };
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * Picks the card of the day for a date, if it has not been picked already.
+ * Picking a card updates the saved cycle.
+ *
+ * @param {string} date A date, as "YYYY-MM-DD".
+ * @return {Object} The card of the day for that date.
+ */
+function getCardOfTheDay(date) {
+  const cycle = SCHEDULES.cycle;
+  const cards = new Map(getAllCards().map((card) => [card.id, card]));
+  if (cards.has(cycle.dates[date])) {
+    return cards.get(cycle.dates[date]);
+  }
+
+  // Start a new pass once every card has been picked
+  const posted = new Set(cycle.posted);
+  let remaining = [...cards.keys()].filter((id) => !posted.has(id));
+  if (remaining.length == 0) {
+    cycle.seed = randomInt(0, 2 ** 31);
+    cycle.posted = [];
+    remaining = [...cards.keys()];
+  }
+
+  // Sort the cards so the pick does not depend on the order of the API's data
+  const random = seededRandom(cycle.seed + cycle.posted.length);
+  const id = remaining.sort()[Math.floor(random() * remaining.length)];
+  cycle.posted.push(id);
+  cycle.dates[date] = id;
+
+  // Forget the oldest dates, which can no longer be requested
+  Object.keys(cycle.dates)
+    .sort()
+    .slice(0, -DATE_HISTORY)
+    .forEach((oldDate) => delete cycle.dates[oldDate]);
+
+  saveCardOfTheDay();
+  return cards.get(id);
+}
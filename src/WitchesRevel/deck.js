@@ -0,0 +1,254 @@
+/**
+ * A module for parsing and summarising decklists.
+ *
+ * A decklist has one card per line, optionally with a count, e.g. "3x Card",
+ * "3 Card" or "Card x3". Blank lines, comments (lines starting with "#" or
+ * "//") and section headings (lines ending with ":") are ignored.
+ *
+ * @file   This files defines the WitchesRevel/deck module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { applyAlias } from "./aliases.js";
+import { getClosestCard } from "./api.js";
+import { defaultOptions } from "../Utility/fuzzySearch.js";
+import { normalise } from "../Utility/text.js";
+import dldist from "weighted-damerau-levenshtein";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const LEADING_COUNT = /^(\d+)\s*[x×]?\s+(.+)$/i; // e.g. "3x Card"
+const TRAILING_COUNT = /^(.+?)\s+[x×]\s*(\d+)$/i; // e.g. "Card x3"
+const DECKLIST_LANGUAGES = ["deck", "decklist"];
+
+/**
+ * @typedef DeckEntry
+ * @type {Object}
+ * @property {int} count - The number of copies of the card in the deck.
+ * @property {Object} card - The card.
+ */
+
+/**
+ * @typedef Deck
+ * @type {Object}
+ * @property {DeckEntry[]} entries - The cards in the deck, in the order they were first listed.
+ * @property {string[]} unresolved - The lines that could not be matched to a card.
+ * @property {int} size - The total number of cards in the deck.
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Checks whether the contents of a code block are a decklist. Blocks marked
+ * with the language "deck" or "decklist" always are. Otherwise, the block must
+ * have at least two cards, and every card must be given a count.
+ *
+ * @param {string} text The contents of a code block.
+ * @param {?string} language The language the code block was marked with, if any.
+ * @return {bool} Whether the block should be treated as a decklist.
+ */
+export function isDecklist(text, language) {
+  if (language && DECKLIST_LANGUAGES.includes(language.toLowerCase())) {
+    return true;
+  }
+  const lines = readLines(text);
+  return (
+    lines.length >= 2 &&
+    lines.every((line) => LEADING_COUNT.test(line) || TRAILING_COUNT.test(line))
+  );
+}
+
+/**
+ * Parses a decklist, matching each line to the closest card. Lines can be
+ * separated by new lines or semicolons. Cards listed more than once are
+ * combined into a single entry.
+ *
+ * @param {string} text A decklist.
+ * @param {?string} guildId The ID of the server the decklist was sent in, if any (used for aliases).
+ * @return {Deck} The parsed deck.
+ */
+export function parseDeck(text, guildId) {
+  const deck = { entries: [], unresolved: [], size: 0 };
+
+  readLines(text).forEach((line) => {
+    const [count, query] = readCount(line);
+    const card = resolveCard(query, guildId);
+    if (!card || count < 1) {
+      deck.unresolved.push(line);
+      return;
+    }
+
+    const entry = deck.entries.find((entry) => entry.card.id == card.id);
+    if (entry) {
+      entry.count += count;
+    } else {
+      deck.entries.push({ count: count, card: card });
+    }
+    deck.size += count;
+  });
+
+  return deck;
+}
+
+/**
+ * Breaks a deck down by card type, domain and stats. Each breakdown counts
+ * every copy of a card, and is sorted from most to least common.
+ *
+ * @param {Deck} deck A parsed deck.
+ * @return {{types: {type: string, count: int, entries: DeckEntry[]}[], domains: {domain: ?string, count: int}[], stats: {stat: string, average: ?number, values: {value: string, count: int}[]}[]}} The breakdowns of the deck (a domain is null for cards without a stitch icon, and an average is null for stats that are not numeric).
+ */
+export function summariseDeck(deck) {
+  const types = new Map();
+  const domains = new Map();
+  const stats = new Map();
+
+  deck.entries.forEach((entry) => {
+    const { card, count } = entry;
+
+    const type = cardToType(card);
+    if (!types.has(type)) {
+      types.set(type, { type: type, count: 0, entries: [] });
+    }
+    types.get(type).count += count;
+    types.get(type).entries.push(entry);
+
+    const domain = card.frontFace.stitchIcon ?? null;
+    domains.set(domain, (domains.get(domain) ?? 0) + count);
+
+    Object.keys(card.frontFace.value ?? {}).forEach((stat) => {
+      const value = String(Object.values(card.frontFace.value[stat])[0]);
+      if (!stats.has(stat)) {
+        stats.set(stat, new Map());
+      }
+      const values = stats.get(stat);
+      values.set(value, (values.get(value) ?? 0) + count);
+    });
+  });
+
+  return {
+    types: [...types.values()]
+      .map((group) => ({
+        ...group,
+        entries: group.entries.sort(
+          (a, b) =>
+            b.count - a.count ||
+            a.card.fullNames.frontFace.localeCompare(b.card.fullNames.frontFace)
+        ),
+      }))
+      .sort((a, b) => b.count - a.count),
+    domains: [...domains.entries()]
+      .map(([domain, count]) => ({ domain: domain, count: count }))
+      .sort((a, b) => b.count - a.count),
+    stats: [...stats.entries()].map(([stat, values]) =>
+      summariseStat(stat, values)
+    ),
+  };
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} text A decklist.
+ * @return {string[]} The lines of the decklist that list cards, trimmed.
+ */
+function readLines(text) {
+  return text
+    .split(/[\n;]/)
+    .map((line) => line.trim())
+    .filter(
+      (line) =>
+        line &&
+        !line.startsWith("#") &&
+        !line.startsWith("//") &&
+        !line.endsWith(":")
+    );
+}
+
+/**
+ * @param {string} line A line of a decklist.
+ * @return {[int, string]} The number of copies the line lists (1 if not given), and the rest of the line.
+ */
+function readCount(line) {
+  const leading = line.match(LEADING_COUNT);
+  if (leading) {
+    return [+leading[1], leading[2].trim()];
+  }
+  const trailing = line.match(TRAILING_COUNT);
+  if (trailing) {
+    return [+trailing[2], trailing[1].trim()];
+  }
+  return [1, line];
+}
+
+/**
+ * Matches a line of a decklist to a card. Unlike card lookups in messages, the
+ * closest card is only accepted if it is a reasonable match, so that lines
+ * that are not cards can be reported.
+ *
+ * @param {string} query The card name given on a line of a decklist.
+ * @param {?string} guildId The ID of the server the decklist was sent in, if any.
+ * @return {?Object} The card, or null if no card is close enough.
+ */
+function resolveCard(query, guildId) {
+  const dealiased = applyAlias(query, guildId);
+  const card = getClosestCard(dealiased);
+  if (!card) {
+    return null;
+  }
+  if (dealiased != query) {
+    return card;
+  }
+
+  // Allow roughly one typo for every five characters
+  const input = normalise(query);
+  const title = normalise(card.fullNames.frontFace);
+  const maxDistance = defaultOptions.subWeight * Math.ceil(input.length / 5);
+  return title.includes(input) ||
+    dldist(input, title, defaultOptions) <= maxDistance
+    ? card
+    : null;
+}
+
+/**
+ * @param {Object} card A card.
+ * @return {string} The card's type, e.g. "Spell" for a card whose type line is "A Spell.".
+ */
+function cardToType(card) {
+  return card.frontFace.typeLine.rawValue
+    .replace(/^(an?|the)\s+/i, "")
+    .replace(/\.$/, "");
+}
+
+/**
+ * @param {string} stat The name of a stat.
+ * @param {Map<string, int>} values The number of cards with each value of the stat.
+ * @return {{stat: string, average: ?number, values: {value: string, count: int}[]}} The stat's breakdown, with values sorted numerically if possible.
+ */
+function summariseStat(stat, values) {
+  const entries = [...values.entries()].map(([value, count]) => ({
+    value: value,
+    count: count,
+  }));
+  const numeric = entries.every((entry) => !isNaN(+entry.value));
+  if (!numeric) {
+    return {
+      stat: stat,
+      average: null,
+      values: entries.sort((a, b) => b.count - a.count),
+    };
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+  const sum = entries.reduce(
+    (sum, entry) => sum + +entry.value * entry.count,
+    0
+  );
+  return {
+    stat: stat,
+    average: sum / total,
+    values: entries.sort((a, b) => +a.value - +b.value),
+  };
+}
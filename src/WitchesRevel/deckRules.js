@@ -0,0 +1,183 @@
+/**
+ * A module for checking decks against the deck construction rules of each
+ * format.
+ *
+ * The rules are loaded from resources/deckRules.yml, which lists each format
+ * by name, e.g.
+ *
+ *   defaultFormat: standard
+ *   formats:
+ *     standard:
+ *       minSize: 40
+ *       maxSize: 60
+ *       maxCopies: 3
+ *       maxDomains: 2
+ *       allowedDomains: [flames, currents, moonlight]
+ *       banned: [Card Name]
+ *       restricted: { Card Name: 1 }
+ *
+ * Every rule is optional. If the file does not exist, there are no formats and
+ * decks cannot be checked.
+ *
+ * @file   This files defines the WitchesRevel/deckRules module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { domainToName } from "./discord.js";
+import { normalise, readId } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let RULES; // Persistent data
+
+/**
+ * @typedef Violation
+ * @type {Object}
+ * @property {string} rule - The name of the rule that was broken, e.g. "maxCopies".
+ * @property {?Object} card - The card that broke the rule, if the rule applies to individual cards.
+ * @property {string} message - A description of how the rule was broken.
+ */
+
+/**
+ * Loads the deck construction rules from resources into the cache.
+ */
+export function loadDeckRules() {
+  RULES = null;
+  if (fs.existsSync("./resources/deckRules.yml")) {
+    const file = fs.readFileSync("./resources/deckRules.yml", "utf8");
+    RULES = YAML.parse(file);
+  }
+  if (!RULES || !RULES.formats) {
+    RULES = { defaultFormat: null, formats: {} };
+  }
+  if (!RULES.defaultFormat || !RULES.formats[RULES.defaultFormat]) {
+    RULES.defaultFormat = Object.keys(RULES.formats)[0] ?? null;
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Checks a deck against the rules of a format.
+ *
+ * @param {Deck} deck A parsed deck.
+ * @param {string} format The name of the format.
+ * @return {Violation[]} Every way the deck breaks the format's rules (empty if the deck is legal).
+ */
+export function validateDeck(deck, format) {
+  const rules = RULES.formats[format];
+  const violations = [];
+
+  // Lines that are not cards cannot be checked, so are not allowed
+  deck.unresolved.forEach((line) => {
+    violations.push({
+      rule: "unresolved",
+      card: null,
+      message: `\`${line}\` is not a card.`,
+    });
+  });
+
+  // Deck size
+  if (rules.minSize != null && deck.size < rules.minSize) {
+    violations.push({
+      rule: "minSize",
+      card: null,
+      message: `The deck has ${deck.size} cards, but must have at least ${rules.minSize}.`,
+    });
+  }
+  if (rules.maxSize != null && deck.size > rules.maxSize) {
+    violations.push({
+      rule: "maxSize",
+      card: null,
+      message: `The deck has ${deck.size} cards, but can have at most ${rules.maxSize}.`,
+    });
+  }
+
+  // Individual cards
+  const banned = (rules.banned ?? []).map(readId);
+  const restricted = {};
+  Object.entries(rules.restricted ?? {}).forEach(([name, limit]) => {
+    restricted[readId(name)] = limit;
+  });
+  const allowedDomains = rules.allowedDomains?.map(normalise);
+
+  deck.entries.forEach(({ card, count }) => {
+    const id = readId(card.fullNames.frontFace);
+    const domain = card.frontFace.stitchIcon;
+
+    if (banned.includes(id)) {
+      violations.push({
+        rule: "banned",
+        card: card,
+        message: "This card is banned.",
+      });
+      return;
+    }
+
+    const limit = restricted[id] ?? rules.maxCopies;
+    if (limit != null && count > limit) {
+      violations.push({
+        rule: restricted[id] != null ? "restricted" : "maxCopies",
+        card: card,
+        message: `The deck has ${count} copies, but can have at most ${limit}.`,
+      });
+    }
+
+    if (allowedDomains && domain && !allowedDomains.includes(domain)) {
+      violations.push({
+        rule: "allowedDomains",
+        card: card,
+        message: `The ${domainToName(domain)} domain is not allowed.`,
+      });
+    }
+  });
+
+  // Number of domains
+  const domains = [
+    ...new Set(
+      deck.entries
+        .map(({ card }) => card.frontFace.stitchIcon)
+        .filter((domain) => domain)
+    ),
+  ];
+  if (rules.maxDomains != null && domains.length > rules.maxDomains) {
+    violations.push({
+      rule: "maxDomains",
+      card: null,
+      message: `The deck uses ${domains.length} domains (${domains
+        .map(domainToName)
+        .join(", ")}), but can use at most ${rules.maxDomains}.`,
+    });
+  }
+
+  return violations;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @return {string[]} The names of every format (empty if no rules are configured).
+ */
+export function getFormatNames() {
+  return Object.keys(RULES.formats);
+}
+
+/**
+ * @return {?string} The name of the format decks are checked against by default, or null if no rules are configured.
+ */
+export function getDefaultFormat() {
+  return RULES.defaultFormat;
+}
+
+/**
+ * @param {string} input The name of a format, as entered by a user.
+ * @return {?string} The name of the format, or null if there is no such format.
+ */
+export function findFormat(input) {
+  const query = normalise(input);
+  return getFormatNames().find((format) => normalise(format) == query) ?? null;
+}
@@ -39,42 +39,53 @@ export function domainToColor(domainId) {
   return +color;
 }
 
+/**
+ * @param {string} domainId The domain's ID.
+ * @return {string} The emoji code for the domain.
+ */
+export function domainToEmote(domainId) {
+  switch (domainId) {
+    case "flames":
+      return process.env.EMOJI_FLAMES;
+    case "currents":
+      return process.env.EMOJI_CURRENTS;
+    case "moonlight":
+      return process.env.EMOJI_MOONLIGHT;
+  }
+}
+
 /**
  * Cards are colored to match their stitch icon, if any.
  *
  * @param {Object} card A card.
+ * @param {?string} face The face of the card to use ("frontFace" by default, or "backFace").
  * @return {int} The hex code of the card's color.
  */
-export function cardToColor(card) {
-  return card.frontFace.stitchIcon
-    ? domainToColor(card.frontFace.stitchIcon)
-    : card.frontFace.typeLine == "A Resource." ||
-      card.frontFace.typeLine == "A Marker."
+export function cardToColor(card, face) {
+  const cardFace = card[face ? face : "frontFace"];
+  return cardFace.stitchIcon
+    ? domainToColor(cardFace.stitchIcon)
+    : cardFace.typeLine == "A Resource." || cardFace.typeLine == "A Marker."
     ? +process.env.COLOR_INFO
     : +process.env.COLOR_NO_DOMAIN;
 }
 
 /**
  * @param {string} card A card.
+ * @param {?string} face The face of the card to use ("frontFace" by default, or "backFace").
  * @return {string} The emoji code for that card's stitch icon.
  */
-export function cardToStitchIconEmote(card) {
-  switch (card.frontFace.stitchIcon) {
-    case "flames":
-      return process.env.EMOJI_FLAMES;
-    case "currents":
-      return process.env.EMOJI_CURRENTS;
-    case "moonlight":
-      return process.env.EMOJI_MOONLIGHT;
-  }
+export function cardToStitchIconEmote(card, face) {
+  return domainToEmote(card[face ? face : "frontFace"].stitchIcon);
 }
 
 /**
  * @param {Object} card A card.
+ * @param {?string} face The face of the card to use ("frontFace" by default, or "backFace").
  * @return {string} The text of that card, rendered with markdown.
  */
-export function formatCardText(card) {
-  return card.frontFace.text
+export function formatCardText(card, face) {
+  return (card[face ? face : "frontFace"].text ?? [])
     .map((clause) => {
       if (clause.kind == "unmarked") {
         return clause.text;
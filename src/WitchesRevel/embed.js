@@ -8,89 +8,486 @@
 ///////////////////////////////////////////////////////////////////////////////
 
 import { EmbedBuilder } from "discord.js";
-import { getExpansion } from "./api.js";
+import { getCardTextSnippet, getDefaultPrint, printToString } from "./api.js";
+import { summariseDeck } from "./deck.js";
+import { findTermsInText } from "./glossary.js";
 import {
   cardToColor,
   cardToStitchIconEmote,
+  domainToColor,
+  domainToEmote,
+  domainToName,
   formatCardText,
 } from "./discord.js";
-import { toTitleCase } from "../Utility/text.js";
+import { toTitleCase, truncate } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+export const CARDS_PER_PAGE = 10;
+const FIELD_LENGTH = 1024; // Max length Discord allows for an embed field's value
+const DESCRIPTION_LENGTH = 4096; // Max length Discord allows for an embed's description
+const SNIPPET_LENGTH = 150; // Max length of the rules text shown for each full-text search result
 
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
  * @param {Object} card A card.
- * @return {Object} A Discord embed displaying the title, game text, stats, and image of the card.
+ * @param {?Object} print The printing of the card to display (defaults to the card's first printing).
+ * @param {?string} face The face of the card to display ("frontFace" by default, or "backFace").
+ * @return {Object} A Discord embed displaying the title, game text, stats, and image of the card, and the definitions of any glossary terms in its text.
  */
-export function createCardEmbed(card) {
-  const url = card.links[0].url;
+export function createCardEmbed(card, print, face) {
+  print = print ? print : getDefaultPrint(card);
+  face = face ? face : "frontFace";
+  const url = printToUrl(card, print);
   const embed = new EmbedBuilder()
-    .setColor(cardToColor(card))
-    .setTitle(card.fullNames.frontFace)
+    .setColor(cardToColor(card, face))
+    .setTitle(cardToTitle(card, face))
     .setURL(url)
-    .setDescription(cardToEmbedBody(card))
-    .setThumbnail(card.images[0].frontFace.scale3x)
+    .setDescription(cardToEmbedBody(card, face))
+    .setThumbnail(printToImage(card, print, face))
     .setFooter({
-      text: cardToFooter(card),
+      text: cardToFooter(card, print, face),
     });
+
+  const terms = findTermsInText(formatCardText(card, face));
+  if (terms.length > 0) {
+    embed.addFields({
+      name: "Glossary",
+      value: truncate(
+        terms
+          .map(({ term, definition }) => `**${term}**: ${definition}`)
+          .join("\n"),
+        FIELD_LENGTH,
+        "…"
+      ),
+    });
+  }
+
   return embed;
 }
 
 /**
  * @param {Object} card A card.
+ * @param {?Object} print The printing of the card to display (defaults to the card's first printing).
+ * @param {?string} face The face of the card to display ("frontFace" by default, or "backFace").
  * @return {Object} A Discord embed displaying the title and image of the card.
  */
-export function createCardImageEmbed(card) {
-  const url = card.links[0].url;
+export function createCardImageEmbed(card, print, face) {
+  print = print ? print : getDefaultPrint(card);
+  face = face ? face : "frontFace";
+  const url = printToUrl(card, print);
   const embed = new EmbedBuilder()
-    .setColor(cardToColor(card))
-    .setTitle(card.fullNames.frontFace)
+    .setColor(cardToColor(card, face))
+    .setTitle(cardToTitle(card, face))
     .setURL(url)
-    .setImage(card.images[0].frontFace.scale3x);
+    .setImage(printToImage(card, print, face))
+    .setFooter({
+      text: printToString(print),
+    });
   return embed;
 }
 
+/**
+ * @param {string} title The title of the list.
+ * @param {Object[]} cards The cards to list.
+ * @return {Object[]} An array of Discord embeds, each displaying one page of the list.
+ */
+export function createCardListEmbeds(title, cards) {
+  const pageCount = Math.max(1, Math.ceil(cards.length / CARDS_PER_PAGE));
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    const lines = cards
+      .slice(page * CARDS_PER_PAGE, (page + 1) * CARDS_PER_PAGE)
+      .map(cardToListEntry);
+    const embed = new EmbedBuilder()
+      .setColor(+process.env.COLOR_INFO)
+      .setTitle(title)
+      .setDescription(lines.length > 0 ? lines.join("\n") : "No cards.")
+      .setFooter({
+        text: `Page ${page + 1} of ${pageCount} • ${cards.length} card${
+          cards.length == 1 ? "" : "s"
+        }`,
+      });
+    pages.push(embed);
+  }
+  return pages;
+}
+
+/**
+ * Each card in the list is followed by the part of its rules text that matched
+ * the query, with the matching words in bold.
+ *
+ * @param {string} query The full-text search query.
+ * @param {Object[]} cards The cards that matched the query, most relevant first.
+ * @return {Object[]} An array of Discord embeds, each displaying one page of the results.
+ */
+export function createTextSearchEmbeds(query, cards) {
+  const pageCount = Math.max(1, Math.ceil(cards.length / CARDS_PER_PAGE));
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    const entries = cards
+      .slice(page * CARDS_PER_PAGE, (page + 1) * CARDS_PER_PAGE)
+      .map(
+        (card) =>
+          `${cardToListEntry(card)}\n> ${getCardTextSnippet(
+            card,
+            query,
+            SNIPPET_LENGTH
+          )}`
+      );
+    const embed = new EmbedBuilder()
+      .setColor(+process.env.COLOR_INFO)
+      .setTitle(`Text search: ${truncate(query, 200, "…")}`)
+      .setDescription(
+        entries.length > 0
+          ? truncate(entries.join("\n"), DESCRIPTION_LENGTH, "…")
+          : "No cards."
+      )
+      .setFooter({
+        text: `Page ${page + 1} of ${pageCount} • ${cards.length} card${
+          cards.length == 1 ? "" : "s"
+        }`,
+      });
+    pages.push(embed);
+  }
+  return pages;
+}
+
+/**
+ * Every page of the list starts with an overview of the expansion: its release
+ * date (if the API gives one), its number of cards, and how many are in each
+ * domain.
+ *
+ * @param {Object} expansion An expansion.
+ * @param {{card: Object, print: Print}[]} prints The printings in the expansion, in the order to list them.
+ * @return {Object[]} An array of Discord embeds, each displaying one page of the expansion's cards.
+ */
+export function createExpansionEmbeds(expansion, prints) {
+  const domains = new Map();
+  prints.forEach(({ card }) => {
+    const domain = card.frontFace.stitchIcon ?? null;
+    domains.set(domain, (domains.get(domain) ?? 0) + 1);
+  });
+
+  const overview = [
+    expansion.releaseDate ? `Released: ${expansion.releaseDate}` : null,
+    `Cards: ${prints.length}`,
+    [...domains.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([domain, count]) =>
+        domain
+          ? `${domainToEmote(domain)} ${domainToName(domain)}: ${count}`
+          : `No domain: ${count}`
+      )
+      .join(" • "),
+  ].filter((line) => line);
+
+  const pageCount = Math.max(1, Math.ceil(prints.length / CARDS_PER_PAGE));
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    const lines = prints
+      .slice(page * CARDS_PER_PAGE, (page + 1) * CARDS_PER_PAGE)
+      .map(({ card, print }) => `\`#${print.id}\` ${cardToListEntry(card)}`);
+    const embed = new EmbedBuilder()
+      .setColor(+process.env.COLOR_INFO)
+      .setTitle(expansion.collationName)
+      .setDescription(overview.join("\n"))
+      .addFields({
+        name: "Cards",
+        value:
+          lines.length > 0
+            ? truncate(lines.join("\n"), FIELD_LENGTH, "…")
+            : "No cards.",
+      })
+      .setFooter({ text: `Page ${page + 1} of ${pageCount}` });
+    pages.push(embed);
+  }
+  return pages;
+}
+
+/**
+ * @param {string} title The title of the deck.
+ * @param {Deck} deck A parsed deck.
+ * @return {Object} A Discord embed summarising the deck's cards, domains and stats, and any lines that could not be matched to a card.
+ */
+export function createDeckEmbed(title, deck) {
+  const { types, domains, stats } = summariseDeck(deck);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${title} (${deck.size} card${deck.size == 1 ? "" : "s"})`)
+    .setColor(
+      domains.length > 0 && domains[0].domain
+        ? domainToColor(domains[0].domain)
+        : +process.env.COLOR_INFO
+    )
+    .setDescription(
+      domains.length > 0
+        ? domains
+            .map(({ domain, count }) =>
+              domain
+                ? `${domainToEmote(domain)} ${domainToName(domain)}: ${count}`
+                : `No domain: ${count}`
+            )
+            .join(" • ")
+        : "No cards could be found in this deck."
+    );
+
+  types.forEach(({ type, count, entries }) => {
+    embed.addFields({
+      name: `${type} (${count})`,
+      value: truncate(
+        entries
+          .map((entry) => `${entry.count}x ${entry.card.fullNames.frontFace}`)
+          .join("\n"),
+        FIELD_LENGTH,
+        "…"
+      ),
+      inline: true,
+    });
+  });
+
+  if (stats.length > 0) {
+    embed.addFields({
+      name: "Stats",
+      value: truncate(stats.map(statToString).join("\n"), FIELD_LENGTH, "…"),
+    });
+  }
+
+  if (deck.unresolved.length > 0) {
+    embed.addFields({
+      name: `Unrecognised lines (${deck.unresolved.length})`,
+      value: truncate(
+        deck.unresolved.map((line) => `\`${line}\``).join("\n"),
+        FIELD_LENGTH,
+        "…"
+      ),
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * @param {string} title The name of the deck.
+ * @param {string} format The name of the format the deck was checked against.
+ * @param {Violation[]} violations Every way the deck breaks the format's rules.
+ * @return {Object} A Discord embed listing the violations, or stating that the deck is legal.
+ */
+export function createDeckValidationEmbed(title, format, violations) {
+  if (violations.length == 0) {
+    return new EmbedBuilder()
+      .setTitle(`${title} is legal!`)
+      .setDescription(`This deck follows all of the ${format} rules.`)
+      .setColor(+process.env.COLOR_POSITIVE);
+  }
+
+  const lines = violations.map((violation) =>
+    violation.card
+      ? `- **${violation.card.fullNames.frontFace}**: ${violation.message}`
+      : `- ${violation.message}`
+  );
+  const description = `This deck breaks the ${format} rules:\n${lines.join(
+    "\n"
+  )}`;
+  return new EmbedBuilder()
+    .setTitle(`${title} is not legal!`)
+    .setDescription(truncate(description, DESCRIPTION_LENGTH, "…"))
+    .setColor(+process.env.COLOR_NEGATIVE);
+}
+
+/**
+ * @param {GlossaryEntry} entry A glossary term and its definition.
+ * @return {Object} A Discord embed displaying the term's definition.
+ */
+export function createGlossaryEmbed(entry) {
+  return new EmbedBuilder()
+    .setColor(+process.env.COLOR_INFO)
+    .setTitle(entry.term)
+    .setDescription(truncate(entry.definition, DESCRIPTION_LENGTH, "…"));
+}
+
+/**
+ * @param {Object} card A card.
+ * @param {Ruling[]} rulings The card's rulings.
+ * @return {Object} A Discord embed listing the card's rulings, numbered from 1.
+ */
+export function createRulingsEmbed(card, rulings) {
+  const lines = rulings.map((ruling, index) => {
+    const source = [ruling.source, ruling.date]
+      .filter((detail) => detail)
+      .join(", ");
+    return `**${index + 1}.** ${ruling.text}${source ? ` *(${source})*` : ""}`;
+  });
+  return new EmbedBuilder()
+    .setColor(cardToColor(card, "frontFace"))
+    .setTitle(`Rulings: ${card.fullNames.frontFace}`)
+    .setDescription(
+      lines.length > 0
+        ? truncate(lines.join("\n\n"), DESCRIPTION_LENGTH, "…")
+        : "There are no rulings for this card."
+    );
+}
+
+/**
+ * Cards without game text are given a stats clue instead of a text clue.
+ *
+ * @param {Object} card A card.
+ * @param {string} clue The kind of clue to give: "text" (the card's game text, with its title hidden), "stats" (its type, domain and stats) or "art" (a small image of the card).
+ * @return {Object} A Discord embed giving a clue about the card, without naming it.
+ */
+export function createClueEmbed(card, clue) {
+  const embed = new EmbedBuilder()
+    .setTitle("Guess the card!")
+    .setColor(+process.env.COLOR_INFO);
+
+  if (clue == "art") {
+    const images = card.images[0].frontFace;
+    return embed.setImage(images.scale1x ?? images.scale3x);
+  }
+
+  const text = formatCardText(card, "frontFace");
+  if (clue == "text" && text) {
+    return embed.setDescription(`>>> ${redactTitles(card, text)}`);
+  }
+
+  const iconEmote = cardToStitchIconEmote(card, "frontFace");
+  const stitchIcon = iconEmote ? ` (${iconEmote})` : "";
+  const stats = cardToStats(card, "frontFace");
+  return embed.setDescription(
+    `${card.frontFace.typeLine?.rawValue ?? ""}${stitchIcon}${
+      stats ? `\n${stats}` : ""
+    }`.trim()
+  );
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // PRIVATE
 
 /**
  * @param {Object} card A card.
+ * @param {string} face The face of the card to use.
+ * @return {string} The title of that face, or the card's title if the face has none.
+ */
+function cardToTitle(card, face) {
+  return card.fullNames[face] ?? card.fullNames.frontFace;
+}
+
+/**
+ * @param {Object} card A card.
+ * @param {string} face The face of the card to use.
  * @return {string} A multiline string containing the stats and game text of the card.
  */
-function cardToEmbedBody(card) {
-  const type = card.frontFace.typeLine.rawValue;
+function cardToEmbedBody(card, face) {
+  const cardFace = card[face];
+  const type = cardFace.typeLine ? cardFace.typeLine.rawValue : "";
 
-  const iconEmote = cardToStitchIconEmote(card);
+  const iconEmote = cardToStitchIconEmote(card, face);
   const stitchIcon = iconEmote ? ` (${iconEmote})` : "";
 
-  const stats = card.frontFace.value
-    ? Object.keys(card.frontFace.value)
-      .map((key) => {
-        return (
-          toTitleCase(key) +
-          ": " +
-          Object.values(card.frontFace.value[key])[0]
-        );
-      })
-      .join(" • ")
-    : "";
+  const stats = cardToStats(card, face);
 
   return `${type}${stitchIcon}${
     stats ? `\n${stats}` : ""
-  }\n>>> ${formatCardText(card)}`;
+  }\n>>> ${formatCardText(card, face)}`;
 }
 
 /**
  * @param {Object} card A card.
- * @return {string} A single line containing the domain, expansion, and printed position of the card.
+ * @param {string} face The face of the card to use.
+ * @return {string} A single line containing the stats of that face of the card (empty if it has none).
  */
-function cardToFooter(card) {
-  const domain = card.frontFace.stitchIcon
-    ? `${toTitleCase(card.frontFace.stitchIcon)} • `
+function cardToStats(card, face) {
+  const cardFace = card[face];
+  return cardFace.value
+    ? Object.keys(cardFace.value)
+        .map((key) => {
+          return (
+            toTitleCase(key) + ": " + Object.values(cardFace.value[key])[0]
+          );
+        })
+        .join(" • ")
     : "";
+}
 
-  const expansionData = Object.values(card.prints.printsByID)[0][0];
-  const expansion = getExpansion(expansionData.expansionID).collationName;
+/**
+ * Hides every title of a card in a piece of text, so the text can be shown
+ * without giving away which card it belongs to.
+ *
+ * @param {Object} card A card.
+ * @param {string} text Text from the card.
+ * @return {string} The text, with the card's titles replaced.
+ */
+function redactTitles(card, text) {
+  return Object.values(card.fullNames).reduce(
+    (redacted, title) =>
+      redacted.replace(
+        new RegExp(title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi"),
+        "■■■"
+      ),
+    text
+  );
+}
 
-  return `${domain}${expansion} #${expansionData.id}`;
+/**
+ * @param {Object} card A card.
+ * @return {string} A single line containing the title, stitch icon, and type of the card.
+ */
+function cardToListEntry(card) {
+  const iconEmote = cardToStitchIconEmote(card);
+  const stitchIcon = iconEmote ? `${iconEmote} ` : "";
+  return `${stitchIcon}**${card.fullNames.frontFace}** • ${card.frontFace.typeLine.rawValue}`;
+}
+
+/**
+ * @param {Object} card A card.
+ * @param {Object} print A printing of the card.
+ * @param {string} face The face of the card to use.
+ * @return {string} A single line containing the domain, expansion, and printed position of the card.
+ */
+function cardToFooter(card, print, face) {
+  const stitchIcon = card[face].stitchIcon;
+  const domain = stitchIcon ? `${toTitleCase(stitchIcon)} • ` : "";
+  const side = face == "backFace" ? " • Back" : "";
+
+  return `${domain}${printToString(print)}${side}`;
+}
+
+/**
+ * Cards list their images in the same order as their printings. If a printing
+ * has no image of its own, the card's first image is used.
+ *
+ * @param {Object} card A card.
+ * @param {Object} print A printing of the card.
+ * @param {string} face The face of the card to use.
+ * @return {string} The URL of the image of that face of the card for that printing.
+ */
+function printToImage(card, print, face) {
+  const images = card.images[print.index] ?? card.images[0];
+  return (images[face] ?? images.frontFace).scale3x;
+}
+
+/**
+ * Cards list their links in the same order as their printings. If a printing
+ * has no link of its own, the card's first link is used.
+ *
+ * @param {Object} card A card.
+ * @param {Object} print A printing of the card.
+ * @return {string} The URL of the card's page for that printing.
+ */
+function printToUrl(card, print) {
+  return (card.links[print.index] ?? card.links[0]).url;
+}
+
+/**
+ * @param {{stat: string, average: ?number, values: {value: string, count: int}[]}} stat A breakdown of one stat across a deck.
+ * @return {string} A single line containing the stat's average (if numeric) and how many cards have each value.
+ */
+function statToString(stat) {
+  const average =
+    stat.average != null ? ` (average ${stat.average.toFixed(1)})` : "";
+  const values = stat.values
+    .map(({ value, count }) => `${value}: ${count}`)
+    .join(", ");
+  return `**${toTitleCase(stat.stat)}**${average} • ${values}`;
 }
@@ -0,0 +1,118 @@
+/**
+ * A module for looking up the definitions of keywords and other game terms.
+ *
+ * The glossary is loaded from resources/glossary.yml, which maps each term to
+ * its definition, e.g.
+ *
+ *   Bind: This ability triggers when the card is bound to a witch.
+ *
+ * @file   This files defines the WitchesRevel/glossary module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { bestMatch, rankMatches } from "../Utility/fuzzySearch.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let GLOSSARY; // Persistent data
+
+/**
+ * @typedef GlossaryEntry
+ * @type {Object}
+ * @property {string} term - The term, as written in the glossary.
+ * @property {string} definition - The term's definition.
+ */
+
+/**
+ * Loads the glossary from resources into the cache.
+ */
+export function loadGlossary() {
+  GLOSSARY = {};
+  if (fs.existsSync("./resources/glossary.yml")) {
+    const file = fs.readFileSync("./resources/glossary.yml", "utf8");
+    Object.entries(YAML.parse(file) ?? {}).forEach(([term, definition]) => {
+      GLOSSARY[normalise(term)] = { term: term, definition: `${definition}` };
+    });
+  }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Finds the term that best matches a string, allowing for typos. Terms that
+ * start with the input are preferred, followed by terms that contain it.
+ *
+ * @param {string} input A term, as entered by a user.
+ * @return {?GlossaryEntry} The closest matching term, or null if the glossary is empty.
+ */
+export function findTerm(input) {
+  const query = normalise(input);
+  if (GLOSSARY[query]) {
+    return GLOSSARY[query];
+  }
+
+  const tier = tierTerms(query).find((terms) => terms.length > 0) ?? [];
+  return GLOSSARY[bestMatch(query, tier)] ?? null;
+}
+
+/**
+ * Ranks every term by how closely it matches a string, using the same
+ * preferences as findTerm.
+ *
+ * @param {string} input A string to rank the terms against.
+ * @param {int} limit The maximum number of terms to return.
+ * @return {string[]} An array of terms, as written in the glossary, best matches first.
+ */
+export function rankTerms(input, limit) {
+  const query = normalise(input);
+  return tierTerms(query)
+    .flatMap((terms) => rankMatches(query, terms))
+    .slice(0, limit)
+    .map((term) => GLOSSARY[term].term);
+}
+
+/**
+ * Finds every term used in a piece of text. Terms are matched as whole words,
+ * ignoring case.
+ *
+ * @param {string} text A piece of text, e.g. a card's game text.
+ * @return {GlossaryEntry[]} The terms used in the text, in the order they first appear.
+ */
+export function findTermsInText(text) {
+  const normalised = normalise(text);
+  return Object.keys(GLOSSARY)
+    .map((term) => [term, normalised.search(termToRegex(term))])
+    .filter(([, index]) => index >= 0)
+    .sort((a, b) => a[1] - b[1])
+    .map(([term]) => GLOSSARY[term]);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} query A normalised search query.
+ * @return {[string[], string[], string[]]} The normalised terms that start with the query, the other terms that contain it, and the rest.
+ */
+function tierTerms(query) {
+  const terms = Object.keys(GLOSSARY);
+  return [
+    terms.filter((term) => term.startsWith(query)),
+    terms.filter((term) => !term.startsWith(query) && term.includes(query)),
+    terms.filter((term) => !term.includes(query)),
+  ];
+}
+
+/**
+ * @param {string} term A normalised term.
+ * @return {RegExp} A regular expression matching the term as a whole word.
+ */
+function termToRegex(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`);
+}
@@ -0,0 +1,191 @@
+/**
+ * A module for running "guess the card" games and keeping each server's
+ * scores.
+ *
+ * Each channel can have one game running at a time. A game shows a clue about
+ * a random card, and the first player to name the card wins a point. Answers
+ * are matched to cards the same way card lookups in messages are, so aliases
+ * and near-miss spellings count.
+ *
+ * Games are kept in memory, so a restart ends them. Scores are saved to
+ * resources/guessScores.yml.
+ *
+ * @file   This files defines the WitchesRevel/guess module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { applyAlias } from "./aliases.js";
+import { getClosestCardFace, getRandomCard } from "./api.js";
+import { normalise, readId } from "../Utility/text.js";
+import { randomElement } from "../Utility/random.js";
+import dldist from "weighted-damerau-levenshtein";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let SCORES; // Persistent data
+const GAMES = {}; // Games in progress, by channel ID
+
+const CLUE_TYPES = ["text", "stats", "art"];
+const DEFAULT_TIME_LIMIT = 2; // Minutes games last for if GUESS_TIME_LIMIT is not set
+
+/**
+ * Every edit costs the same, so answers that leave out part of the card's
+ * title are not accepted.
+ */
+const ANSWER_OPTIONS = {
+  insWeight: 1,
+  delWeight: 1,
+  subWeight: 1,
+  useDamerau: true,
+};
+
+/**
+ * @typedef Game
+ * @type {Object}
+ * @property {Object} card - The card to guess.
+ * @property {string} cardId - The ID of the card, used to check components refer to this game.
+ * @property {string} clue - The kind of clue shown ("text", "stats" or "art").
+ * @property {Object} timer - The timeout that ends the game when time runs out.
+ */
+
+/**
+ * Loads the scores from resources into the cache.
+ */
+export function loadGuessScores() {
+  if (fs.existsSync("./resources/guessScores.yml")) {
+    const file = fs.readFileSync("./resources/guessScores.yml", "utf8");
+    SCORES = YAML.parse(file);
+  }
+  if (!SCORES) {
+    SCORES = {};
+  }
+  if (!SCORES.guilds) {
+    SCORES.guilds = {};
+  }
+}
+
+/**
+ * Saves the current version of the cached scores to resources.
+ */
+export function saveGuessScores() {
+  const yaml = SCORES ? YAML.stringify(SCORES) : "";
+  fs.writeFileSync("./resources/guessScores.yml", yaml, {
+    encoding: "utf8",
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Games
+
+/**
+ * Starts a game in a channel with a random card.
+ *
+ * @param {string} channelId The ID of the channel to play in.
+ * @param {?string} clue The kind of clue to show (picked at random if not given).
+ * @param {function(Game)} onTimeout Called if nobody guesses the card in time. The game has already ended when it is called.
+ * @return {?Game} The new game, or null if a game is already running in the channel.
+ */
+export function startGame(channelId, clue, onTimeout) {
+  if (GAMES[channelId]) {
+    return null;
+  }
+
+  const card = getRandomCard();
+  const minutes = +process.env.GUESS_TIME_LIMIT || DEFAULT_TIME_LIMIT;
+  const game = {
+    card: card,
+    cardId: readId(card.fullNames.frontFace),
+    clue: clue ?? randomElement(CLUE_TYPES),
+  };
+  game.timer = setTimeout(() => {
+    if (GAMES[channelId] == game) {
+      delete GAMES[channelId];
+      onTimeout(game);
+    }
+  }, minutes * 60 * 1000);
+
+  GAMES[channelId] = game;
+  return game;
+}
+
+/**
+ * @param {string} channelId The ID of a channel.
+ * @return {?Game} The game running in the channel, if any.
+ */
+export function getGame(channelId) {
+  return GAMES[channelId] ?? null;
+}
+
+/**
+ * Ends the game running in a channel.
+ *
+ * @param {string} channelId The ID of a channel.
+ * @return {?Game} The game that was ended, or null if no game was running.
+ */
+export function endGame(channelId) {
+  const game = GAMES[channelId];
+  if (!game) {
+    return null;
+  }
+  clearTimeout(game.timer);
+  delete GAMES[channelId];
+  return game;
+}
+
+/**
+ * Checks whether an answer names a game's card. The answer is matched to the
+ * closest card title, and must be within roughly one typo for every five
+ * characters of it, unless it is an alias.
+ *
+ * @param {Game} game A game.
+ * @param {string} answer The answer given by a player.
+ * @param {?string} guildId The ID of the server the answer was given in, if any (used for aliases).
+ * @return {bool} Whether the answer is correct.
+ */
+export function isCorrectAnswer(game, answer, guildId) {
+  const dealiased = applyAlias(answer, guildId);
+  const { card, face } = getClosestCardFace(dealiased);
+  if (!card || card.id != game.card.id) {
+    return false;
+  }
+  if (dealiased != answer) {
+    return true;
+  }
+
+  const input = normalise(answer);
+  const title = normalise(card.fullNames[face] ?? card.fullNames.frontFace);
+  return dldist(input, title, ANSWER_OPTIONS) <= Math.ceil(title.length / 5);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Scores
+
+/**
+ * Gives a player a point in a server.
+ *
+ * @param {string} guildId The ID of the server.
+ * @param {string} userId The ID of the player.
+ * @return {int} The player's new score.
+ */
+export function addPoint(guildId, userId) {
+  if (!SCORES.guilds[guildId]) {
+    SCORES.guilds[guildId] = {};
+  }
+  const scores = SCORES.guilds[guildId];
+  scores[userId] = (scores[userId] ?? 0) + 1;
+  return scores[userId];
+}
+
+/**
+ * @param {string} guildId The ID of a server.
+ * @return {{userId: string, score: int}[]} Every player's score in the server, highest first.
+ */
+export function getLeaderboard(guildId) {
+  return Object.entries(SCORES.guilds[guildId] ?? {})
+    .map(([userId, score]) => ({ userId: userId, score: score }))
+    .sort((a, b) => b.score - a.score);
+}
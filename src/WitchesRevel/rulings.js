@@ -0,0 +1,150 @@
+/**
+ * A module for handling the loading, updating, and saving of card rulings.
+ *
+ * Rulings are saved to resources/rulings.yml, keyed by the ID of the card they
+ * apply to (the readId of its title), e.g.
+ *
+ *   fireball:
+ *     - text: Fireball can target your own witch.
+ *       source: Official FAQ
+ *       date: 2024-03-01
+ *
+ * Rulings are numbered from 1 in the order they were added.
+ *
+ * @file   This files defines the WitchesRevel/rulings module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import YAML from "yaml";
+import { readId } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+let RULINGS; // Persistent data
+
+/**
+ * @typedef Ruling
+ * @type {Object}
+ * @property {string} text - The ruling.
+ * @property {?string} source - Where the ruling came from, e.g. "Official FAQ".
+ * @property {string} date - The date the ruling was added or last edited, as "YYYY-MM-DD".
+ */
+
+/**
+ * Loads the rulings from resources into the cache.
+ */
+export function loadRulings() {
+  if (fs.existsSync("./resources/rulings.yml")) {
+    const file = fs.readFileSync("./resources/rulings.yml", "utf8");
+    RULINGS = YAML.parse(file);
+  }
+  if (!RULINGS) {
+    RULINGS = {};
+  }
+}
+
+/**
+ * Saves the current version of the cached rulings to resources.
+ */
+export function saveRulings() {
+  const yaml = RULINGS ? YAML.stringify(RULINGS) : "";
+  fs.writeFileSync("./resources/rulings.yml", yaml, {
+    encoding: "utf8",
+  });
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @param {Object} card A card.
+ * @return {Ruling[]} The card's rulings, in order. Do not modify.
+ */
+export function getRulings(card) {
+  return RULINGS[cardToId(card)] ?? [];
+}
+
+/**
+ * Adds a ruling to a card.
+ *
+ * @param {Object} card A card.
+ * @param {string} text The ruling.
+ * @param {?string} source Where the ruling came from, if known.
+ * @return {int} The number of the new ruling.
+ */
+export function addRuling(card, text, source) {
+  const id = cardToId(card);
+  if (!RULINGS[id]) {
+    RULINGS[id] = [];
+  }
+  RULINGS[id].push(createRuling(text, source));
+  return RULINGS[id].length;
+}
+
+/**
+ * Replaces one of a card's rulings.
+ *
+ * @param {Object} card A card.
+ * @param {int} number The number of the ruling to replace.
+ * @param {string} text The new ruling.
+ * @param {?string} source Where the new ruling came from (keeps the old source if not given).
+ * @return {bool} Was the edit successful (if not, the ruling does not exist).
+ */
+export function editRuling(card, number, text, source) {
+  const rulings = RULINGS[cardToId(card)];
+  if (!rulings || !rulings[number - 1]) {
+    return false;
+  }
+  rulings[number - 1] = createRuling(
+    text,
+    source ?? rulings[number - 1].source
+  );
+  return true;
+}
+
+/**
+ * Removes one of a card's rulings. Later rulings are renumbered.
+ *
+ * @param {Object} card A card.
+ * @param {int} number The number of the ruling to remove.
+ * @return {bool} Was the removal successful (if not, the ruling does not exist).
+ */
+export function removeRuling(card, number) {
+  const id = cardToId(card);
+  const rulings = RULINGS[id];
+  if (!rulings || !rulings[number - 1]) {
+    return false;
+  }
+  rulings.splice(number - 1, 1);
+  if (rulings.length == 0) {
+    delete RULINGS[id];
+  }
+  return true;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {Object} card A card.
+ * @return {string} The key the card's rulings are saved under.
+ */
+function cardToId(card) {
+  return readId(card.fullNames.frontFace);
+}
+
+/**
+ * @param {string} text The ruling.
+ * @param {?string} source Where the ruling came from, if known.
+ * @return {Ruling} A ruling dated today.
+ */
+function createRuling(text, source) {
+  const ruling = { text: text };
+  if (source) {
+    ruling.source = source;
+  }
+  ruling.date = new Date().toISOString().slice(0, 10);
+  return ruling;
+}
@@ -0,0 +1,354 @@
+/**
+ * A module for parsing and evaluating structured card search queries.
+ *
+ * Queries are made of terms, which can be combined with "and" (or simply
+ * placing terms next to each other), "or", "not" (or a leading "-"), and
+ * parentheses. A term is either a plain word, which is matched against card
+ * titles, or a field filter such as:
+ * - domain:flames
+ * - type:spell
+ * - text:"draw a card"
+ * - expansion:"base set"
+ * - cost<=2 (any stat on the card can be compared with :, =, <, <=, > or >=)
+ *
+ * @file   This files defines the WitchesRevel/search module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import { getAllCards, getExpansion } from "./api.js";
+import { normalise } from "../Utility/text.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * An error caused by a malformed search query. Its message is safe to show to
+ * the user.
+ */
+export class SearchSyntaxError extends Error {}
+
+/**
+ * The text fields that can be filtered on, mapped from every name they can be
+ * referred to by.
+ */
+const FIELD_NAMES = {
+  name: "name",
+  title: "name",
+  n: "name",
+  domain: "domain",
+  d: "domain",
+  type: "type",
+  t: "type",
+  text: "text",
+  x: "text",
+  expansion: "expansion",
+  set: "expansion",
+  e: "expansion",
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Finds every card matching a search query, sorted by title.
+ *
+ * @param {string} query A search query.
+ * @return {Object[]} An array of the cards matching the query.
+ */
+export function searchCards(query) {
+  const predicate = parseSearchQuery(query);
+  return getAllCards()
+    .filter(predicate)
+    .sort((a, b) => a.fullNames.frontFace.localeCompare(b.fullNames.frontFace));
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * Compiles a search query into a function that tests whether a card matches
+ * it.
+ *
+ * @param {string} query A search query.
+ * @return {function(Object): bool} A predicate over cards.
+ * @throws {SearchSyntaxError} If the query is malformed.
+ */
+function parseSearchQuery(query) {
+  const tokens = tokenise(query);
+  if (tokens.length == 0) {
+    throw new SearchSyntaxError("The search query is empty.");
+  }
+
+  const state = { tokens: tokens, position: 0 };
+  const predicate = parseOr(state);
+  if (state.position < tokens.length) {
+    throw new SearchSyntaxError(
+      `Unexpected \`${tokens[state.position].value}\` in the search query.`
+    );
+  }
+  return predicate;
+}
+
+/**
+ * Splits a query into parentheses and words. Quoted sections are kept as part
+ * of the word they appear in, without their quotes.
+ *
+ * @param {string} query A search query.
+ * @return {Object[]} An array of tokens, each with a type, value, and whether it started with a quote.
+ */
+function tokenise(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char == "(" || char == ")") {
+      tokens.push({ type: char, value: char });
+      i++;
+    } else if (
+      char == "-" &&
+      i + 1 < query.length &&
+      !/\s/.test(query[i + 1])
+    ) {
+      tokens.push({ type: "not", value: char });
+      i++;
+    } else {
+      let value = "";
+      let quoted = false;
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] == '"') {
+          const end = query.indexOf('"', i + 1);
+          if (end < 0) {
+            throw new SearchSyntaxError(
+              "The search query has an unclosed quote."
+            );
+          }
+          quoted = quoted || value == "";
+          value += query.substring(i + 1, end);
+          i = end + 1;
+        } else {
+          value += query[i];
+          i++;
+        }
+      }
+
+      const keyword = quoted ? null : value.toLowerCase();
+      if (keyword == "and" || keyword == "or" || keyword == "not") {
+        tokens.push({ type: keyword, value: value });
+      } else {
+        tokens.push({ type: "word", value: value, quoted: quoted });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * or := and ("or" and)*
+ */
+function parseOr(state) {
+  const predicates = [parseAnd(state)];
+  while (peek(state) == "or") {
+    state.position++;
+    predicates.push(parseAnd(state));
+  }
+  return predicates.length == 1
+    ? predicates[0]
+    : (card) => predicates.some((predicate) => predicate(card));
+}
+
+/**
+ * and := not (["and"] not)*
+ */
+function parseAnd(state) {
+  const predicates = [parseNot(state)];
+  while (true) {
+    const next = peek(state);
+    if (next == "and") {
+      state.position++;
+    } else if (next != "word" && next != "not" && next != "(") {
+      break;
+    }
+    predicates.push(parseNot(state));
+  }
+  return predicates.length == 1
+    ? predicates[0]
+    : (card) => predicates.every((predicate) => predicate(card));
+}
+
+/**
+ * not := ("not" | "-") not | atom
+ */
+function parseNot(state) {
+  if (peek(state) == "not") {
+    state.position++;
+    const predicate = parseNot(state);
+    return (card) => !predicate(card);
+  }
+  return parseAtom(state);
+}
+
+/**
+ * atom := "(" or ")" | term
+ */
+function parseAtom(state) {
+  const token = state.tokens[state.position];
+  if (!token) {
+    throw new SearchSyntaxError("The search query ends unexpectedly.");
+  }
+
+  if (token.type == "(") {
+    state.position++;
+    const predicate = parseOr(state);
+    if (peek(state) != ")") {
+      throw new SearchSyntaxError("The search query has an unclosed bracket.");
+    }
+    state.position++;
+    return predicate;
+  }
+
+  if (token.type == "word") {
+    state.position++;
+    return parseTerm(token);
+  }
+
+  throw new SearchSyntaxError(
+    `Unexpected \`${token.value}\` in the search query.`
+  );
+}
+
+/**
+ * @param {Object} state The parser state.
+ * @return {?string} The type of the next token, if any.
+ */
+function peek(state) {
+  const token = state.tokens[state.position];
+  return token ? token.type : null;
+}
+
+/**
+ * Converts a single word into a predicate, either as a field filter or as a
+ * search of card titles.
+ *
+ * @param {Object} token A word token.
+ * @return {function(Object): bool} A predicate over cards.
+ */
+function parseTerm(token) {
+  const match = token.value.match(/^([a-zA-Z_]+)(:|<=|>=|!=|=|<|>)(.*)$/);
+
+  // Plain words search titles
+  if (!match || token.quoted) {
+    const value = normalise(token.value);
+    return (card) => normalise(card.fullNames.frontFace).includes(value);
+  }
+
+  const field = match[1].toLowerCase();
+  const operator = match[2];
+  const value = normalise(match[3]);
+  if (!value) {
+    throw new SearchSyntaxError(`The filter \`${token.value}\` has no value.`);
+  }
+
+  // Text fields
+  if (FIELD_NAMES[field]) {
+    if (operator != ":" && operator != "=" && operator != "!=") {
+      throw new SearchSyntaxError(
+        `The field \`${field}\` cannot be compared with \`${operator}\`.`
+      );
+    }
+    const getValues = FIELD_GETTERS[FIELD_NAMES[field]];
+    const test =
+      operator == ":"
+        ? (card) => getValues(card).some((text) => text.includes(value))
+        : (card) => getValues(card).some((text) => text == value);
+    return operator == "!=" ? (card) => !test(card) : test;
+  }
+
+  // Anything else must be a stat
+  if (!getAllCards().some((card) => getStat(card, field) != null)) {
+    throw new SearchSyntaxError(
+      `There is no field or stat called \`${field}\`.`
+    );
+  }
+  return (card) => compareStat(getStat(card, field), operator, value);
+}
+
+/**
+ * Functions that fetch the normalised values of a text field from a card.
+ */
+const FIELD_GETTERS = {
+  name: (card) => [normalise(card.fullNames.frontFace)],
+  domain: (card) => [normalise(card.frontFace.stitchIcon ?? "none")],
+  type: (card) => [normalise(card.frontFace.typeLine.rawValue)],
+  text: (card) => [
+    normalise(
+      card.frontFace.text
+        .map((clause) =>
+          clause.condition ? `${clause.condition} ${clause.text}` : clause.text
+        )
+        .join("\n")
+    ),
+  ],
+  expansion: (card) =>
+    Object.values(card.prints.printsByID)
+      .flat()
+      .map((print) => getExpansion(print.expansionID))
+      .filter((expansion) => expansion)
+      .flatMap((expansion) => [
+        normalise(expansion.collationName),
+        normalise(expansion.id),
+      ]),
+};
+
+/**
+ * @param {Object} card A card.
+ * @param {string} stat The name of a stat, e.g. "cost".
+ * @return {?string} The value of that stat on the card, if it has it.
+ */
+function getStat(card, stat) {
+  const value = card.frontFace.value;
+  if (!value) {
+    return null;
+  }
+  const key = Object.keys(value).find((key) => normalise(key) == stat);
+  return key ? String(Object.values(value[key])[0]) : null;
+}
+
+/**
+ * Compares a card's stat to a value. Numeric values are compared as numbers,
+ * anything else is compared as text.
+ *
+ * @param {?string} stat The card's stat.
+ * @param {string} operator One of the supported operators.
+ * @param {string} value The value to compare the stat to.
+ * @return {bool} Whether the comparison holds (always false if the card does not have the stat).
+ */
+function compareStat(stat, operator, value) {
+  if (stat == null) {
+    return false;
+  }
+
+  const numeric = !isNaN(+stat) && !isNaN(+value);
+  const a = numeric ? +stat : normalise(stat);
+  const b = numeric ? +value : value;
+
+  switch (operator) {
+    case ":":
+    case "=":
+      return a == b;
+    case "!=":
+      return a != b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * A module for saving and loading local snapshots of the card data, so the bot
+ * can start when the API cannot be reached.
+ *
+ * @file   This files defines the WitchesRevel/snapshot module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import fs from "fs";
+import path from "path";
+import { logWarn } from "../Utility/log.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+const SNAPSHOT_DIRECTORY = "./resources/snapshots";
+const SNAPSHOT_VERSION = 1; // Increment if the snapshot format changes
+const SNAPSHOT_LIMIT = 5; // The number of snapshots to keep
+
+/**
+ * @typedef Snapshot
+ * @type {Object}
+ * @property {int} version - The version of the snapshot format.
+ * @property {string} savedAt - When the snapshot was saved, as an ISO string.
+ * @property {Object} data - The raw card data, as returned by the API.
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Saves a snapshot of the raw card data to resources and deletes any old
+ * snapshots beyond the limit. The snapshot is written to a temporary file
+ * first, so a crash while saving cannot leave a truncated snapshot behind.
+ *
+ * @param {Object} data The raw card data, as returned by the API.
+ */
+export function saveSnapshot(data) {
+  const savedAt = new Date().toISOString();
+  const snapshot = { version: SNAPSHOT_VERSION, savedAt: savedAt, data: data };
+  const filePath = path.join(SNAPSHOT_DIRECTORY, snapshotFileName(savedAt));
+
+  fs.mkdirSync(SNAPSHOT_DIRECTORY, { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(snapshot), {
+    encoding: "utf8",
+  });
+  fs.renameSync(`${filePath}.tmp`, filePath);
+
+  listSnapshots()
+    .slice(SNAPSHOT_LIMIT)
+    .forEach((fileName) =>
+      fs.unlinkSync(path.join(SNAPSHOT_DIRECTORY, fileName))
+    );
+}
+
+/**
+ * Loads the most recently saved snapshot that can be read. Snapshots that are
+ * corrupt or have the wrong version are skipped in favour of older ones.
+ *
+ * @return {?Snapshot} The newest readable snapshot, or null if there are none.
+ */
+export function loadLatestSnapshot() {
+  for (const fileName of listSnapshots()) {
+    const filePath = path.join(SNAPSHOT_DIRECTORY, fileName);
+    try {
+      return loadDataFile(filePath);
+    } catch (err) {
+      logWarn("skipping unreadable snapshot", {
+        file: filePath,
+        error: err.message,
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads card data from a local file. The file can either be a snapshot or a
+ * copy of the API's cards/all.json.
+ *
+ * @param {string} filePath The path to the file.
+ * @return {Snapshot} The file's contents as a snapshot.
+ */
+export function loadDataFile(filePath) {
+  const contents = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  // Raw API data has no snapshot metadata
+  if (!contents.version) {
+    const savedAt = fs.statSync(filePath).mtime.toISOString();
+    return { version: SNAPSHOT_VERSION, savedAt: savedAt, data: contents };
+  }
+
+  if (contents.version != SNAPSHOT_VERSION) {
+    throw new Error(
+      `The snapshot "${filePath}" has version ${contents.version}, expected ${SNAPSHOT_VERSION}.`
+    );
+  }
+  return contents;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PRIVATE
+
+/**
+ * @param {string} savedAt When the snapshot was saved, as an ISO string.
+ * @return {string} The file name to save the snapshot under.
+ */
+function snapshotFileName(savedAt) {
+  return `cards-v${SNAPSHOT_VERSION}-${savedAt.replace(/[:.]/g, "-")}.json`;
+}
+
+/**
+ * @return {string[]} The file names of all snapshots of the current version, newest first.
+ */
+function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_DIRECTORY)) {
+    return [];
+  }
+  return fs
+    .readdirSync(SNAPSHOT_DIRECTORY)
+    .filter(
+      (fileName) =>
+        fileName.startsWith(`cards-v${SNAPSHOT_VERSION}-`) &&
+        fileName.endsWith(".json")
+    )
+    .sort()
+    .reverse();
+}
@@ -0,0 +1,44 @@
+/**
+ * Tests for the fullTextSearch utility module. Run with `node --test test/`.
+ *
+ * @file   This files defines the tests for the fullTextSearch utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createTextIndex,
+  searchTextIndex,
+  stem,
+} from "../src/Utility/fullTextSearch.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+test("forms of a word share a stem", () => {
+  const groups = [
+    ["use", "uses", "used", "using"],
+    ["see", "sees", "seeing"],
+    ["return", "returns", "returned", "returning"],
+    ["make", "makes", "making"],
+    ["tie", "ties", "tied"],
+  ];
+  groups.forEach((words) => {
+    const stems = new Set(words.map(stem));
+    assert.equal(stems.size, 1, `${words.join(", ")} → ${[...stems]}`);
+  });
+});
+
+test("searches match other forms of a word", () => {
+  const index = createTextIndex([
+    ["Each card can be used once per turn."],
+    ["Using this spell ends your turn."],
+    ["Draw a card."],
+  ]);
+  const documents = searchTextIndex(index, "uses").map(
+    ({ document }) => document
+  );
+  assert.deepEqual(documents.sort(), [0, 1]);
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the fuzzySearch utility module. Run with `node --test test/`.
+ *
+ * @file   This files defines the tests for the fuzzySearch utility module.
+ * @since  1.0.0
+ */
+
+///////////////////////////////////////////////////////////////////////////////
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  bestMatch,
+  bestMatchIndexed,
+  createSearchIndex,
+  findSubstrings,
+  rankMatches,
+  rankMatchesIndexed,
+} from "../src/Utility/fuzzySearch.js";
+
+///////////////////////////////////////////////////////////////////////////////
+
+// Includes titles at the same distance from many queries, so ties are decided
+// by pool order
+const POOL = [
+  "firebolt",
+  "fireball",
+  "fire bolt",
+  "ice bolt",
+  "bolt",
+  "cat",
+  "bat",
+  "hat",
+  "draw deep",
+  "deep draw",
+  "moonlight sonata",
+  "sonata",
+];
+
+const QUERIES = [
+  "firebal",
+  "fierball",
+  "fire",
+  "ice blot",
+  "at",
+  "sonata moonlight",
+  "deep",
+  "xyz",
+  "",
+];
+
+const OPTIONS = [
+  undefined,
+  { insWeight: 1, delWeight: 1, subWeight: 1, useDamerau: true },
+];
+
+///////////////////////////////////////////////////////////////////////////////
+
+test("indexed matches are the same as linear matches", () => {
+  const index = createSearchIndex(POOL);
+  OPTIONS.forEach((options) => {
+    QUERIES.forEach((query) => {
+      assert.equal(
+        bestMatchIndexed(query, index, null, options),
+        bestMatch(query, POOL, options),
+        `best match for "${query}"`
+      );
+      const ranked = rankMatches(query, POOL, options);
+      [1, 3, POOL.length].forEach((limit) => {
+        assert.deepEqual(
+          rankMatchesIndexed(query, index, limit, null, options),
+          ranked.slice(0, limit),
+          `top ${limit} matches for "${query}"`
+        );
+      });
+    });
+  });
+});
+
+test("indexed matches within a subset are the same as linear matches", () => {
+  const index = createSearchIndex(POOL);
+  const subset = [1, 2, 5, 6, 7, 11];
+  const pool = subset.map((i) => POOL[i]);
+  QUERIES.forEach((query) => {
+    assert.equal(
+      bestMatchIndexed(query, index, subset),
+      bestMatch(query, pool),
+      `best match for "${query}"`
+    );
+    assert.deepEqual(
+      rankMatchesIndexed(query, index, 3, subset),
+      rankMatches(query, pool).slice(0, 3),
+      `top 3 matches for "${query}"`
+    );
+  });
+});
+
+test("indexed substrings are the same as a linear scan", () => {
+  const index = createSearchIndex(POOL);
+  ["", "b", "at", "bolt", "fire b", "moonlight s", "zz"].forEach((query) => {
+    const expected = POOL.map((value, i) => i).filter((i) =>
+      POOL[i].includes(query)
+    );
+    assert.deepEqual(findSubstrings(index, query), expected, `"${query}"`);
+  });
+});